@@ -0,0 +1,115 @@
+const { anchorComments } = require('../src/anchors');
+
+describe('anchors', () => {
+  const hunk = {
+    filename: 'app.js',
+    changes: [
+      { content: ' const a = 1;', type: 'context', lineNumber: 10 },
+      { content: '-const b = 1;', type: 'deletion', lineNumber: 11 },
+      { content: '+const b = 2;', type: 'addition', lineNumber: 11 },
+      { content: '+const c = 3;', type: 'addition', lineNumber: 12 },
+      { content: ' const d = 4;', type: 'context', lineNumber: 13 },
+      { content: ' const e = 5;', type: 'context', lineNumber: 14 },
+      { content: '+const f = 6;', type: 'addition', lineNumber: 15 }
+    ]
+  };
+
+  test('should keep comments on added lines and default them to single lines on the right', () => {
+    const comments = [{ body: 'Use let', line: 11 }, { body: 'Name', line: 15 }];
+
+    const result = anchorComments(hunk, comments);
+
+    expect(result.comments).toEqual([
+      { body: 'Use let', startLine: null, line: 11, side: 'RIGHT' },
+      { body: 'Name', startLine: null, line: 15, side: 'RIGHT' }
+    ]);
+    expect(result.stats).toEqual({ anchored: 2, snapped: 0, demoted: 0, dropped: 0 });
+  });
+
+  test('should snap nearby comments to the nearest added line', () => {
+    const result = anchorComments(hunk, [
+      { body: 'On context line', line: 13 },
+      { body: 'Just past the hunk', line: 17 }
+    ]);
+
+    expect(result.comments).toEqual([
+      { body: 'On context line', startLine: null, line: 12, side: 'RIGHT', originalLine: 13 },
+      { body: 'Just past the hunk', startLine: null, line: 15, side: 'RIGHT', originalLine: 17 }
+    ]);
+    expect(result.stats.snapped).toBe(2);
+  });
+
+  test('should drop comments that cannot be anchored by default', () => {
+    const result = anchorComments(hunk, [{ body: 'Hallucinated', line: 200 }, { body: 'No line' }]);
+
+    expect(result.comments).toEqual([]);
+    expect(result.stats).toEqual({ anchored: 0, snapped: 0, demoted: 0, dropped: 2 });
+  });
+
+  test('should demote unanchored comments to file-level notes when configured', () => {
+    const result = anchorComments(hunk, [{ body: 'Hallucinated', line: 200 }], { unanchored: 'file' });
+
+    expect(result.comments).toEqual([
+      { body: 'Hallucinated', startLine: null, line: null, side: 'RIGHT', originalLine: 200, subjectType: 'file' }
+    ]);
+    expect(result.stats.demoted).toBe(1);
+  });
+
+  test('should respect the maximum snapping distance', () => {
+    const result = anchorComments(hunk, [{ body: 'Two lines off', line: 17 }], { maxDistance: 1 });
+
+    expect(result.stats.dropped).toBe(1);
+  });
+
+  test('should drop right-side comments in hunks without added lines', () => {
+    const deletionsOnly = { filename: 'x.js', changes: [{ content: '-gone', type: 'deletion', lineNumber: 3 }] };
+
+    expect(anchorComments(deletionsOnly, [{ body: 'Why?', line: 3 }]).stats.dropped).toBe(1);
+  });
+
+  test('should anchor left-side comments to deleted lines', () => {
+    const result = anchorComments(hunk, [
+      { body: 'This check was needed', line: 11, side: 'LEFT' },
+      { body: 'Near the deletion', line: 12, side: 'LEFT' },
+      { body: 'Nowhere near', line: 40, side: 'LEFT' }
+    ]);
+
+    expect(result.comments).toEqual([
+      { body: 'This check was needed', startLine: null, line: 11, side: 'LEFT' },
+      { body: 'Near the deletion', startLine: null, line: 11, side: 'LEFT', originalLine: 12 }
+    ]);
+    expect(result.stats).toEqual({ anchored: 1, snapped: 1, demoted: 0, dropped: 1 });
+  });
+
+  describe('line ranges', () => {
+    const headedHunk = { ...hunk, hunkHeader: { oldStart: 10, oldLines: 2, newStart: 10, newLines: 6 } };
+
+    test('should keep ranges that start in the hunk before the line', () => {
+      const result = anchorComments(headedHunk, [{ body: 'Block', startLine: 10, line: 15 }]);
+
+      expect(result.comments[0]).toMatchObject({ startLine: 10, line: 15, side: 'RIGHT' });
+    });
+
+    test('should clear ranges that start outside the hunk or after the line', () => {
+      const result = anchorComments(headedHunk, [
+        { body: 'Starts above the hunk', startLine: 2, line: 12 },
+        { body: 'Backwards', startLine: 15, line: 12 },
+        { body: 'Empty', startLine: 12, line: 12 }
+      ]);
+
+      expect(result.comments.map(comment => comment.startLine)).toEqual([null, null, null]);
+    });
+
+    test('should check ranges against the snapped line', () => {
+      const result = anchorComments(headedHunk, [{ body: 'Block', startLine: 12, line: 13 }]);
+
+      expect(result.comments[0]).toMatchObject({ startLine: null, line: 12, originalLine: 13 });
+    });
+
+    test('should use the hunk lines when there is no header', () => {
+      const result = anchorComments(hunk, [{ body: 'Block', startLine: 9, line: 12 }, { body: 'Block', startLine: 10, line: 12 }]);
+
+      expect(result.comments.map(comment => comment.startLine)).toEqual([null, 10]);
+    });
+  });
+});
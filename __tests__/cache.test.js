@@ -0,0 +1,115 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MemoryCacheStore, FileCacheStore, ResponseCache, createResponseCache } = require('../src/llm/cache');
+
+describe('cache', () => {
+  describe('ResponseCache', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('should create the same key for equal requests regardless of key order', () => {
+      const key = ResponseCache.createKey({ provider: 'openai', url: 'u', body: { model: 'm', temperature: 0 } });
+
+      expect(key).toMatch(/^[0-9a-f]{64}$/);
+      expect(ResponseCache.createKey({ body: { temperature: 0, model: 'm' }, url: 'u', provider: 'openai' })).toBe(key);
+      expect(ResponseCache.createKey({ provider: 'openai', url: 'u', body: { model: 'm', temperature: 1 } })).not.toBe(key);
+    });
+
+    test('should expire entries after the TTL', async () => {
+      const now = jest.spyOn(Date, 'now').mockReturnValue(1000);
+      const cache = new ResponseCache({ ttl: 500 });
+
+      await cache.set('k', 'value');
+      now.mockReturnValue(1500);
+      expect(await cache.get('k')).toBe('value');
+      now.mockReturnValue(1501);
+      expect(await cache.get('k')).toBeUndefined();
+      expect(cache.store.entries.has('k')).toBe(false);
+    });
+
+    test('should never expire entries with a TTL of 0', async () => {
+      const now = jest.spyOn(Date, 'now').mockReturnValue(0);
+      const cache = new ResponseCache({ ttl: 0 });
+
+      await cache.set('k', 'value');
+      now.mockReturnValue(Number.MAX_SAFE_INTEGER);
+
+      expect(await cache.get('k')).toBe('value');
+    });
+
+    test('should be created from coordinator config', () => {
+      const cache = new ResponseCache();
+
+      expect(createResponseCache(undefined)).toBeNull();
+      expect(createResponseCache(false)).toBeNull();
+      expect(createResponseCache(cache)).toBe(cache);
+      expect(createResponseCache(true).store).toBeInstanceOf(MemoryCacheStore);
+      expect(createResponseCache({ directory: os.tmpdir() }).store).toBeInstanceOf(FileCacheStore);
+    });
+  });
+
+  describe('MemoryCacheStore', () => {
+    test('should evict the least recently used entry', () => {
+      const store = new MemoryCacheStore({ maxEntries: 2 });
+
+      store.set('a', 1);
+      store.set('b', 2);
+      store.get('a');
+      store.set('c', 3);
+
+      expect(store.get('a')).toBe(1);
+      expect(store.get('b')).toBeUndefined();
+      expect(store.get('c')).toBe(3);
+    });
+  });
+
+  describe('FileCacheStore', () => {
+    let directory;
+
+    beforeEach(() => {
+      directory = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'ai-reviewer-cache-')), 'responses');
+    });
+
+    afterEach(() => {
+      fs.rmSync(path.dirname(directory), { recursive: true, force: true });
+    });
+
+    test('should store entries as JSON files and read them back', async () => {
+      const store = new FileCacheStore({ directory });
+
+      await store.set('abc', { value: 'Hi', createdAt: 1 });
+
+      expect(fs.readdirSync(directory)).toEqual(['abc.json']);
+      expect(await new FileCacheStore({ directory }).get('abc')).toEqual({ value: 'Hi', createdAt: 1 });
+      expect(await store.get('missing')).toBeUndefined();
+
+      await store.delete('abc');
+      expect(await store.get('abc')).toBeUndefined();
+    });
+
+    test('should treat corrupt files as misses', async () => {
+      fs.mkdirSync(directory);
+      fs.writeFileSync(path.join(directory, 'bad.json'), '{"value":');
+
+      expect(await new FileCacheStore({ directory }).get('bad')).toBeUndefined();
+    });
+
+    test('should remove the oldest files beyond maxEntries', async () => {
+      const store = new FileCacheStore({ directory, maxEntries: 2 });
+      await store.set('a', { value: 1 });
+      await store.set('b', { value: 2 });
+      fs.utimesSync(path.join(directory, 'a.json'), new Date(1000), new Date(1000));
+      fs.utimesSync(path.join(directory, 'b.json'), new Date(2000), new Date(2000));
+
+      await store.set('c', { value: 3 });
+
+      expect(fs.readdirSync(directory).sort()).toEqual(['b.json', 'c.json']);
+    });
+
+    test('should require a directory', () => {
+      expect(() => new FileCacheStore()).toThrow('FileCacheStore requires a directory');
+    });
+  });
+});
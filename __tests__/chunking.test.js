@@ -0,0 +1,104 @@
+const { splitDiff, packPieces } = require('../src/llm/chunking');
+
+// One token per character keeps budgets easy to reason about
+const estimate = text => text.length;
+
+const fileA = `diff --git a/a.js b/a.js
+--- a/a.js
++++ b/a.js
+@@ -1,2 +1,3 @@
+ const a = 1;
++const b = 2;`;
+
+const fileB = `diff --git a/b.js b/b.js
+--- a/b.js
++++ b/b.js
+@@ -1,2 +1,2 @@
+-let x = 1;
++const x = 1;`;
+
+describe('chunking', () => {
+  describe('splitDiff', () => {
+    test('should keep a diff that fits in one chunk', () => {
+      const diff = `${fileA}\n${fileB}`;
+      expect(splitDiff(diff, 1000, estimate)).toEqual([diff]);
+    });
+
+    test('should split at file boundaries', () => {
+      const chunks = splitDiff(`${fileA}\n${fileB}`, 120, estimate);
+
+      expect(chunks).toEqual([fileA, fileB]);
+    });
+
+    test('should split svn and p4 diffs at file boundaries', () => {
+      const svnA = 'Index: a.c\n===\n--- a.c\t(revision 1)\n+++ a.c\t(working copy)\n@@ -1 +1 @@\n-a\n+b';
+      const p4B = '==== //depot/b.c#2 - /ws/b.c ====\n@@ -1 +1 @@\n-c\n+d';
+
+      expect(splitDiff(`${svnA}\n${p4B}`, 80, estimate)).toEqual([svnA, p4B]);
+    });
+
+    test('should split large files by hunk and repeat the file header', () => {
+      const diff = `diff --git a/big.js b/big.js
+--- a/big.js
++++ b/big.js
+@@ -1,2 +1,2 @@
+-one
++ONE
+@@ -10,2 +10,2 @@
+-ten
++TEN`;
+      const header = 'diff --git a/big.js b/big.js\n--- a/big.js\n+++ b/big.js';
+
+      const chunks = splitDiff(diff, 90, estimate);
+
+      expect(chunks).toEqual([
+        `${header}\n@@ -1,2 +1,2 @@\n-one\n+ONE`,
+        `${header}\n@@ -10,2 +10,2 @@\n-ten\n+TEN`
+      ]);
+    });
+
+    test('should split oversized hunks by line', () => {
+      const lines = Array.from({ length: 10 }, (_, i) => `+line ${i}`);
+      const diff = ['diff --git a/x b/x', '@@ -0,0 +1,10 @@', ...lines].join('\n');
+
+      const chunks = splitDiff(diff, 60, estimate);
+
+      expect(chunks.length).toBeGreaterThan(1);
+      chunks.forEach(chunk => {
+        expect(chunk.startsWith('diff --git a/x b/x')).toBe(true);
+        expect(estimate(chunk)).toBeLessThanOrEqual(60);
+      });
+      expect(chunks.join('\n')).toContain('+line 9');
+    });
+
+    test('should estimate each line of an oversized hunk once', () => {
+      const lines = Array.from({ length: 5000 }, (_, i) => `+line ${i}`);
+      const diff = ['diff --git a/x b/x', '@@ -0,0 +1,5000 @@', ...lines].join('\n');
+      let estimated = 0;
+      const counting = text => {
+        estimated += text.length;
+        return text.length;
+      };
+
+      const chunks = splitDiff(diff, 1000, counting);
+
+      expect(chunks.length).toBeGreaterThan(1);
+      expect(chunks.join('\n')).toContain('+line 4999');
+      expect(estimated).toBeLessThan(diff.length * 5);
+    });
+
+    test('should handle diffs without file headers', () => {
+      expect(splitDiff('+a\n+b', 100, estimate)).toEqual(['+a\n+b']);
+    });
+  });
+
+  describe('packPieces', () => {
+    test('should pack pieces in order within the budget', () => {
+      expect(packPieces(['aa', 'bb', 'cc'], 5, estimate)).toEqual(['aa\nbb', 'cc']);
+    });
+
+    test('should use the given separator', () => {
+      expect(packPieces(['a', 'b'], 10, estimate, ' | ')).toEqual(['a | b']);
+    });
+  });
+});
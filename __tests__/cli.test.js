@@ -0,0 +1,256 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const { run, parseArgs, formatPretty } = require('../src/cli');
+
+jest.mock('../src/reviewer');
+jest.mock('child_process');
+
+const CodeReviewer = require('../src/reviewer');
+const ActualCodeReviewer = jest.requireActual('../src/reviewer');
+const childProcess = require('child_process');
+
+const diff = `diff --git a/a.js b/a.js
+--- a/a.js
++++ b/a.js
+@@ -1 +1,2 @@
+ const a = 1;
++eval(input);
+`;
+
+function createIo(input = diff) {
+  const output = { stdout: '', stderr: '' };
+  return {
+    output,
+    io: {
+      stdin: Readable.from([input]),
+      stdout: { write: text => { output.stdout += text; } },
+      stderr: { write: text => { output.stderr += text; } },
+      cwd: '/repo'
+    }
+  };
+}
+
+describe('cli', () => {
+  const results = {
+    summary: 'Evaluates user input',
+    comments: [{
+      body: 'Do not eval input',
+      startLine: null,
+      line: 2,
+      side: 'RIGHT',
+      severity: 'critical',
+      category: 'security',
+      confidence: 0.9,
+      filename: 'a.js'
+    }],
+    hunks: [],
+    metadata: { totalHunks: 1, totalComments: 1 }
+  };
+  const reviewChanges = jest.fn();
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    reviewChanges.mockResolvedValue(results);
+    CodeReviewer.mockImplementation(() => ({ reviewChanges }));
+    CodeReviewer.createResults.mockImplementation(ActualCodeReviewer.createResults);
+  });
+
+  describe('parseArgs', () => {
+    test('should apply defaults', () => {
+      expect(parseArgs([])).toEqual({ summary: true, format: 'pretty', help: false, version: false, range: null });
+    });
+
+    test('should read short, long and inline flags and a range', () => {
+      expect(parseArgs(['-p', 'anthropic', '--model=claude-3-5-sonnet-latest', '--no-summary', '-o', 'json', '--fail-on', 'major', 'main...HEAD']))
+        .toMatchObject({
+          provider: 'anthropic',
+          model: 'claude-3-5-sonnet-latest',
+          summary: false,
+          format: 'json',
+          failOn: 'major',
+          range: 'main...HEAD'
+        });
+    });
+
+    test('should reject bad input', () => {
+      expect(() => parseArgs(['--format', 'xml'])).toThrow('Unknown format: xml');
+      expect(() => parseArgs(['--fail-on', 'blocker'])).toThrow('Unknown severity: blocker');
+      expect(() => parseArgs(['--verbose'])).toThrow('Unknown option: --verbose');
+      expect(() => parseArgs(['--model'])).toThrow('Missing value for --model');
+      expect(() => parseArgs(['a..b', 'c..d'])).toThrow('Unexpected argument: c..d');
+      expect(() => parseArgs(['-f', 'x.patch', 'a..b'])).toThrow('Use either --file or a git range, not both');
+    });
+  });
+
+  describe('run', () => {
+    test('should review a diff from stdin with the chosen provider and model', async () => {
+      const { io, output } = createIo();
+
+      const code = await run(['--provider', 'ollama', '--model', 'llama3.1', '--no-summary'], io);
+
+      expect(code).toBe(0);
+      expect(CodeReviewer).toHaveBeenCalledWith({ provider: 'ollama', model: 'llama3.1' });
+      expect(reviewChanges).toHaveBeenCalledWith(diff, { generateSummary: false });
+      expect(output.stdout).toContain('a.js:2 [critical, security]\n  Do not eval input');
+    });
+
+    test('should review a diff from a file', async () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ai-reviewer-'));
+      const file = path.join(dir, 'changes.patch');
+      fs.writeFileSync(file, diff);
+      const { io } = createIo('');
+
+      try {
+        await run(['--file', file], io);
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+
+      expect(reviewChanges).toHaveBeenCalledWith(diff, { generateSummary: true });
+    });
+
+    test('should run git diff for a range', async () => {
+      childProcess.execFile.mockImplementation((_cmd, _args, _options, callback) => callback(null, { stdout: diff, stderr: '' }));
+      const { io } = createIo('');
+
+      await run(['origin/main...HEAD'], io);
+
+      expect(childProcess.execFile).toHaveBeenCalledWith(
+        'git',
+        ['diff', '--no-color', '--no-ext-diff', 'origin/main...HEAD'],
+        expect.objectContaining({ cwd: '/repo' }),
+        expect.any(Function)
+      );
+      expect(reviewChanges).toHaveBeenCalledWith(diff, { generateSummary: true });
+    });
+
+    test('should write JSON and SARIF output', async () => {
+      const json = createIo();
+      await run(['--format', 'json'], json.io);
+      expect(JSON.parse(json.output.stdout)).toEqual(results);
+
+      const sarif = createIo();
+      await run(['--format', 'sarif'], sarif.io);
+      expect(JSON.parse(sarif.output.stdout).runs[0].results[0]).toMatchObject({ ruleId: 'security', level: 'error' });
+    });
+
+    test('should exit with 1 when a comment reaches --fail-on', async () => {
+      expect(await run(['--fail-on', 'major'], createIo().io)).toBe(1);
+      expect(await run(['--fail-on', 'critical'], createIo().io)).toBe(1);
+
+      reviewChanges.mockResolvedValue({ ...results, comments: [{ ...results.comments[0], severity: 'minor' }] });
+      expect(await run(['--fail-on', 'major'], createIo().io)).toBe(0);
+    });
+
+    test('should not review an empty diff', async () => {
+      const { io, output } = createIo('');
+
+      const code = await run(['--format', 'json', '--fail-on', 'nit'], io);
+
+      expect(code).toBe(0);
+      expect(reviewChanges).not.toHaveBeenCalled();
+      expect(JSON.parse(output.stdout)).toEqual({
+        ...ActualCodeReviewer.createResults(),
+        metadata: { ...ActualCodeReviewer.createResults().metadata, reviewedAt: expect.any(String) }
+      });
+    });
+
+    test('should review a format-patch file', async () => {
+      const getReview = jest.fn().mockResolvedValue({ comments: [] });
+      CodeReviewer.mockImplementation(() => new ActualCodeReviewer({
+        coordinator: { getReview, getSummary: jest.fn() }
+      }));
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ai-reviewer-'));
+      const file = path.join(dir, '0001-Evaluate-input.patch');
+      fs.writeFileSync(file, [
+        'From 82efa16d3c1f9a0b6e8f2d4c5b7a9e0f1d2c3b4a Mon Sep 17 00:00:00 2001',
+        'From: Jane Doe <jane@example.com>',
+        'Subject: [PATCH] Evaluate input',
+        '',
+        '---',
+        ' a.js | 1 +',
+        ' 1 file changed, 1 insertion(+)',
+        '',
+        diff.trimEnd(),
+        '-- ',
+        '2.43.0',
+        ''
+      ].join('\n'));
+
+      try {
+        const { io, output } = createIo();
+        const code = await run(['--file', file, '--no-summary', '--fail-on', 'nit'], io);
+
+        expect(code).toBe(0);
+        expect(output.stderr).toBe('');
+        expect(getReview).toHaveBeenCalledTimes(1);
+        expect(getReview.mock.calls[0][0]).toMatchObject({ filename: 'a.js', hunkHeader: { newStart: 1, newLines: 2 } });
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+
+    test('should exit with 2 on usage and review errors', async () => {
+      const usage = createIo();
+      expect(await run(['--format', 'xml'], usage.io)).toBe(2);
+      expect(usage.output.stderr).toMatch(/^Unknown format: xml\n\nUsage: ai-reviewer/);
+
+      reviewChanges.mockRejectedValue(new Error('Review failed: 401'));
+      const failed = createIo();
+      expect(await run([], failed.io)).toBe(2);
+      expect(failed.output.stderr).toBe('ai-reviewer: Review failed: 401\n');
+    });
+
+    test('should exit with 2 when hunk reviews or the summary failed', async () => {
+      reviewChanges.mockResolvedValue({
+        ...results,
+        comments: [],
+        metadata: { ...results.metadata, totalComments: 0, failedHunks: 1, summaryFailed: true }
+      });
+      const { io, output } = createIo();
+
+      expect(await run(['--fail-on', 'nit'], io)).toBe(2);
+      expect(output.stdout).toContain('0 comments on 1 hunk');
+      expect(output.stderr).toBe('ai-reviewer: review incomplete: 1 hunk could not be reviewed, the summary could not be generated\n');
+    });
+
+    test('should print help and version', async () => {
+      const help = createIo();
+      expect(await run(['--help'], help.io)).toBe(0);
+      expect(help.output.stdout).toContain('--fail-on <severity>');
+
+      const version = createIo();
+      await run(['-v'], version.io);
+      expect(version.output.stdout).toBe(`${require('../package.json').version}\n`);
+    });
+  });
+
+  describe('formatPretty', () => {
+    test('should show ranges, deleted lines, suggestions and counts', () => {
+      const text = formatPretty({
+        summary: null,
+        comments: [
+          { body: 'Merge', startLine: 3, line: 4, side: 'RIGHT', filename: 'b.js', suggestionBlock: '```suggestion\nx();\n```' },
+          { body: 'Restore', line: 7, side: 'LEFT', filename: 'b.js', severity: 'major' }
+        ],
+        metadata: { totalHunks: 1 }
+      });
+
+      expect(text).toBe([
+        'b.js:3-4',
+        '  Merge',
+        '  ```suggestion',
+        '  x();',
+        '  ```',
+        '',
+        'b.js:7 (deleted) [major]',
+        '  Restore',
+        '',
+        '2 comments on 1 hunk',
+        ''
+      ].join('\n'));
+    });
+  });
+});
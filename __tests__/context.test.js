@@ -0,0 +1,119 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createGitContextProvider, selectContext } = require('../src/context');
+
+jest.mock('child_process');
+const childProcess = require('child_process');
+
+describe('context', () => {
+  // One token per line keeps budgets easy to reason about
+  const estimate = text => text.split('\n').length;
+  const content = Array.from({ length: 100 }, (_, i) => `line ${i + 1}`).join('\n') + '\n';
+  const hunk = {
+    filename: 'app.js',
+    changes: [{ content: '+line 50', type: 'addition', lineNumber: 50 }],
+    hunkHeader: { oldStart: 50, oldLines: 0, newStart: 50, newLines: 1 }
+  };
+
+  describe('selectContext', () => {
+    test('should use the whole file when it fits the budget', () => {
+      const context = selectContext(hunk, 'a\nb\n', { maxTokens: 10 }, estimate);
+
+      expect(context).toEqual({ startLine: 1, endLine: 2, wholeFile: true, text: '1: a\n2: b' });
+    });
+
+    test('should show surrounding lines of larger files', () => {
+      const context = selectContext(hunk, content, { lines: 3, maxTokens: 50 }, estimate);
+
+      expect(context).toMatchObject({ startLine: 47, endLine: 53, wholeFile: false });
+      expect(context.text.split('\n')[0]).toBe('47: line 47');
+    });
+
+    test('should shrink the margin to fit the budget', () => {
+      expect(selectContext(hunk, content, { lines: 20, maxTokens: 12 }, estimate))
+        .toMatchObject({ startLine: 45, endLine: 55 });
+      expect(selectContext(hunk, content, { lines: 20, maxTokens: 1 }, estimate))
+        .toMatchObject({ startLine: 50, endLine: 50 });
+      expect(selectContext(hunk, content, { lines: 20, maxTokens: 0 }, estimate)).toBeNull();
+    });
+
+    test('should clamp the window to the file', () => {
+      const top = { ...hunk, hunkHeader: { oldStart: 1, oldLines: 1, newStart: 2, newLines: 2 } };
+
+      expect(selectContext(top, content, { lines: 5, maxTokens: 50 }, estimate))
+        .toMatchObject({ startLine: 1, endLine: 8 });
+    });
+
+    test('should fall back to the change line numbers without a header count', () => {
+      const bare = { ...hunk, hunkHeader: null };
+
+      expect(selectContext(bare, content, { lines: 1, maxTokens: 50 }, estimate))
+        .toMatchObject({ startLine: 49, endLine: 51 });
+    });
+  });
+
+  describe('createGitContextProvider', () => {
+    let dir;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ai-reviewer-context-'));
+      fs.mkdirSync(path.join(dir, 'src'));
+      fs.writeFileSync(path.join(dir, 'src', 'app.js'), 'const a = 1;\n');
+      jest.clearAllMocks();
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('should read files from the checkout', async () => {
+      const provider = createGitContextProvider({ cwd: dir });
+
+      expect(await provider({ path: 'src/app.js' })).toBe('const a = 1;\n');
+      expect(await provider({ path: 'src/missing.js' })).toBeNull();
+    });
+
+    test('should not read outside the checkout', async () => {
+      const provider = createGitContextProvider({ cwd: path.join(dir, 'src') });
+      fs.writeFileSync(path.join(dir, 'secret.txt'), 'token');
+
+      expect(await provider({ path: '../secret.txt' })).toBeNull();
+      expect(await provider({ path: path.join(dir, 'secret.txt') })).toBeNull();
+    });
+
+    test('should run git show for a ref', async () => {
+      childProcess.execFile.mockImplementation((_cmd, _args, _options, callback) => callback(null, { stdout: 'from ref\n', stderr: '' }));
+      const provider = createGitContextProvider({ cwd: dir, ref: 'HEAD~1' });
+
+      expect(await provider({ path: 'src/app.js' })).toBe('from ref\n');
+      expect(childProcess.execFile).toHaveBeenCalledWith(
+        'git',
+        ['show', 'HEAD~1:src/app.js'],
+        expect.objectContaining({ cwd: dir }),
+        expect.any(Function)
+      );
+    });
+
+    test('should return null when the path does not exist in the ref', async () => {
+      const missing = Object.assign(new Error('Command failed: git show HEAD~1:src/new.js'), {
+        code: 128,
+        stderr: "fatal: path 'src/new.js' does not exist in 'HEAD~1'\n"
+      });
+      childProcess.execFile.mockImplementation((_cmd, _args, _options, callback) => callback(missing));
+      const provider = createGitContextProvider({ cwd: dir, ref: 'HEAD~1' });
+
+      expect(await provider({ path: 'src/new.js' })).toBeNull();
+    });
+
+    test('should throw other git errors', async () => {
+      const failed = Object.assign(new Error('Command failed: git show nope:src/app.js'), {
+        code: 128,
+        stderr: "fatal: invalid object name 'nope'.\n"
+      });
+      childProcess.execFile.mockImplementation((_cmd, _args, _options, callback) => callback(failed));
+
+      await expect(createGitContextProvider({ cwd: dir, ref: 'nope' })({ path: 'src/app.js' })).rejects.toBe(failed);
+    });
+  });
+});
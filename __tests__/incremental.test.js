@@ -0,0 +1,203 @@
+const { fingerprintHunk, createReviewState, planIncrementalReview, dropRepeatedComments } = require('../src/incremental');
+
+describe('incremental', () => {
+  const changes = [
+    { content: ' const a = 1;', type: 'context', lineNumber: 10 },
+    { content: '-const b = 1;', type: 'deletion', lineNumber: 11 },
+    { content: '+const b = 2;', type: 'addition', lineNumber: 11 },
+    { content: '+const c = 3;', type: 'addition', lineNumber: 12 }
+  ];
+  const hunk = { filename: 'app.js', changes, hunkHeader: { oldStart: 10, oldLines: 2, newStart: 10, newLines: 3 } };
+  const other = {
+    filename: 'util.js',
+    changes: [{ content: '+export {};', type: 'addition', lineNumber: 1 }],
+    hunkHeader: { oldStart: 0, oldLines: 0, newStart: 1, newLines: 1 }
+  };
+  const comments = [
+    { body: 'Use let', startLine: null, line: 11, side: 'RIGHT', filename: 'app.js', hunkHeader: hunk.hunkHeader },
+    { body: 'Old value mattered', startLine: null, line: 11, side: 'LEFT', filename: 'app.js', hunkHeader: hunk.hunkHeader },
+    { body: 'Missing exports', startLine: null, line: 1, side: 'RIGHT', filename: 'util.js', hunkHeader: other.hunkHeader }
+  ];
+  const previous = { summary: 'Earlier', comments, hunks: [hunk, other], metadata: { reviewedAt: '2026-01-01T00:00:00.000Z' } };
+
+  describe('fingerprintHunk', () => {
+    test('should ignore position and notice content and file changes', () => {
+      const moved = {
+        ...hunk,
+        changes: changes.map(change => ({ ...change, lineNumber: change.lineNumber + 5 })),
+        hunkHeader: { ...hunk.hunkHeader, newStart: 15 }
+      };
+
+      expect(fingerprintHunk(moved)).toBe(fingerprintHunk(hunk));
+      expect(fingerprintHunk({ ...hunk, filename: 'other.js' })).not.toBe(fingerprintHunk(hunk));
+      expect(fingerprintHunk({ ...hunk, changes: changes.slice(1) })).not.toBe(fingerprintHunk(hunk));
+    });
+  });
+
+  describe('createReviewState', () => {
+    test('should keep fingerprints, positions and comments per hunk', () => {
+      const state = createReviewState(previous);
+
+      expect(state).toEqual({
+        version: 1,
+        reviewedAt: '2026-01-01T00:00:00.000Z',
+        hunks: [
+          {
+            filename: 'app.js',
+            fingerprint: fingerprintHunk(hunk),
+            oldStart: 10,
+            newStart: 10,
+            comments: comments.slice(0, 2),
+            anchors: ['const b = 2;', 'const b = 1;']
+          },
+          {
+            filename: 'util.js',
+            fingerprint: fingerprintHunk(other),
+            oldStart: 0,
+            newStart: 1,
+            comments: comments.slice(2),
+            anchors: ['export {};']
+          }
+        ]
+      });
+      expect(JSON.parse(JSON.stringify(state))).toEqual(state);
+    });
+
+    test('should leave out entries without lines', () => {
+      const binary = { filename: 'logo.png', changes: [], hunkHeader: null, file: { isBinary: true } };
+
+      expect(createReviewState({ ...previous, hunks: [binary] }).hunks).toEqual([]);
+    });
+  });
+
+  describe('planIncrementalReview', () => {
+    test('should review everything without a previous review', () => {
+      expect(planIncrementalReview([hunk], undefined)).toEqual({
+        hunks: [hunk],
+        carried: [],
+        resolved: [],
+        stats: { reusedHunks: 0, carriedForward: 0, resolved: 0 }
+      });
+    });
+
+    test('should skip unchanged hunks and shift their comments to the new position', () => {
+      const moved = {
+        ...hunk,
+        changes: changes.map(change => ({ ...change, lineNumber: change.lineNumber + (change.type === 'deletion' ? 2 : 5) })),
+        hunkHeader: { oldStart: 12, oldLines: 2, newStart: 15, newLines: 3 }
+      };
+      const edited = { ...other, changes: [{ content: '+export { a };', type: 'addition', lineNumber: 1 }] };
+
+      const plan = planIncrementalReview([moved, edited], previous);
+
+      expect(plan.hunks).toEqual([edited]);
+      expect(plan.carried).toEqual([
+        { ...comments[0], line: 16, hunkHeader: moved.hunkHeader, carriedForward: true },
+        { ...comments[1], line: 13, hunkHeader: moved.hunkHeader, carriedForward: true }
+      ]);
+      expect(plan.resolved).toEqual([comments[2]]);
+      expect(plan.stats).toEqual({ reusedHunks: 1, carriedForward: 2, resolved: 1 });
+    });
+
+    test('should accept a state snapshot and resolve comments on hunks that left the diff', () => {
+      const plan = planIncrementalReview([other], createReviewState(previous));
+
+      expect(plan.hunks).toEqual([]);
+      expect(plan.carried).toEqual([{ ...comments[2], carriedForward: true }]);
+      expect(plan.resolved).toEqual(comments.slice(0, 2));
+    });
+
+    test('should keep comments on edited hunks while their line is still there', () => {
+      const edited = {
+        ...hunk,
+        changes: [
+          { content: '+// Config', type: 'addition', lineNumber: 10 },
+          ...changes.map(change => ({ ...change, lineNumber: change.lineNumber + (change.type === 'deletion' ? 0 : 1) }))
+        ],
+        hunkHeader: { oldStart: 10, oldLines: 2, newStart: 10, newLines: 4 }
+      };
+      const multiLine = { ...comments[0], body: 'Range', startLine: 10, line: 12 };
+
+      for (const previousReview of [{ ...previous, comments: [...comments, multiLine] }, createReviewState({ ...previous, comments: [...comments, multiLine] })]) {
+        const plan = planIncrementalReview([edited], previousReview);
+
+        expect(plan.hunks).toEqual([edited]);
+        expect(plan.carried).toEqual([
+          { ...comments[0], line: 12, hunkHeader: edited.hunkHeader, carriedForward: true },
+          { ...comments[1], hunkHeader: edited.hunkHeader, carriedForward: true },
+          { ...multiLine, startLine: 11, line: 13, hunkHeader: edited.hunkHeader, carriedForward: true }
+        ]);
+        expect(plan.resolved).toEqual([comments[2]]);
+        expect(plan.stats).toEqual({ reusedHunks: 0, carriedForward: 3, resolved: 1 });
+      }
+    });
+
+    test('should resolve comments whose line was changed and keep file-level comments', () => {
+      const edited = {
+        ...hunk,
+        changes: [changes[0], changes[1], { content: '+let b = 2;', type: 'addition', lineNumber: 11 }, changes[3]]
+      };
+      const fileLevel = { ...comments[0], body: 'Split this file', line: null, subjectType: 'file' };
+
+      const plan = planIncrementalReview([edited], { ...previous, comments: [comments[0], fileLevel], hunks: [hunk] });
+
+      expect(plan.carried).toEqual([{ ...fileLevel, carriedForward: true }]);
+      expect(plan.resolved).toEqual([comments[0]]);
+    });
+
+    test('should rebuild suggestion patches for the new lines', () => {
+      const suggested = {
+        ...comments[0],
+        line: 12,
+        suggestion: 'const c = 4;',
+        suggestionBlock: '```suggestion\nconst c = 4;\n```',
+        patch: 'stale'
+      };
+      const moved = {
+        ...hunk,
+        changes: changes.map(change => ({ ...change, lineNumber: change.lineNumber + 1 })),
+        hunkHeader: { ...hunk.hunkHeader, oldStart: 11, newStart: 11 }
+      };
+
+      const plan = planIncrementalReview([moved], { ...previous, comments: [suggested], hunks: [hunk] });
+
+      expect(plan.carried[0].line).toBe(13);
+      expect(plan.carried[0].patch).toBe([
+        '--- a/app.js',
+        '+++ b/app.js',
+        '@@ -11,3 +11,3 @@',
+        ' const a = 1;',
+        ' const b = 2;',
+        '-const c = 3;',
+        '+const c = 4;',
+        ''
+      ].join('\n'));
+    });
+
+    test('should resolve comments on changed hunks from state without anchors', () => {
+      const state = createReviewState(previous);
+      state.hunks.forEach(entry => delete entry.anchors);
+      const edited = { ...hunk, changes: [...changes, { content: '+const d = 4;', type: 'addition', lineNumber: 13 }] };
+
+      expect(planIncrementalReview([edited], state).resolved).toEqual(comments);
+    });
+
+    test('should reject unknown previous reviews', () => {
+      expect(() => planIncrementalReview([hunk], { comments: [] }))
+        .toThrow('Previous review must be a review result or a review state');
+    });
+  });
+
+  describe('dropRepeatedComments', () => {
+    test('should drop new comments on lines that keep an earlier comment', () => {
+      const carried = [{ ...comments[0], carriedForward: true }, { ...comments[2], line: null }];
+      const fresh = [
+        { ...comments[0], body: 'Use let here' },
+        { ...comments[1], body: 'Old value' },
+        { ...comments[2], body: 'No exports', line: null }
+      ];
+
+      expect(dropRepeatedComments(fresh, carried)).toEqual({ comments: fresh.slice(1), repeated: 1 });
+    });
+  });
+});
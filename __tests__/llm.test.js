@@ -1,5 +1,6 @@
 const axios = require('axios');
 const { getReviewFromLLM, getSummaryFromLLM } = require('../src/llm');
+const { REVIEW_RESPONSE_SCHEMA, toProviderSchema } = require('../src/llm/schema');
 
 // Mock axios
 jest.mock('axios');
@@ -42,7 +43,13 @@ describe('llm', () => {
                 comments: [
                   {
                     body: 'Consider adding type validation',
-                    line: 2
+                    startLine: null,
+                    line: 2,
+                    side: 'RIGHT',
+                    severity: 'minor',
+                    category: 'correctness',
+                    confidence: 0.7,
+                    suggestion: null
                   }
                 ]
               })
@@ -59,7 +66,13 @@ describe('llm', () => {
         comments: [
           {
             body: 'Consider adding type validation',
-            line: 2
+            startLine: null,
+            line: 2,
+            side: 'RIGHT',
+            severity: 'minor',
+            category: 'correctness',
+            confidence: 0.7,
+            suggestion: null
           }
         ]
       });
@@ -115,7 +128,13 @@ describe('llm', () => {
                 comments: [
                   {
                     body: 'Good code structure',
-                    line: 2
+                    startLine: null,
+                    line: 2,
+                    side: 'RIGHT',
+                    severity: 'minor',
+                    category: 'correctness',
+                    confidence: 0.7,
+                    suggestion: null
                   }
                 ]
               }) + '\n```'
@@ -132,13 +151,20 @@ describe('llm', () => {
         comments: [
           {
             body: 'Good code structure',
-            line: 2
+            startLine: null,
+            line: 2,
+            side: 'RIGHT',
+            severity: 'minor',
+            category: 'correctness',
+            confidence: 0.7,
+            suggestion: null
           }
         ]
       });
     });
 
     test('should throw error for invalid JSON response', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
       const mockResponse = {
         data: {
           choices: [{
@@ -154,6 +180,68 @@ describe('llm', () => {
       await expect(getReviewFromLLM(sampleHunk))
         .rejects
         .toThrow('Invalid JSON response from LLM');
+      expect(mockedAxios.post).toHaveBeenCalledTimes(2);
+      console.error.mockRestore();
+    });
+
+    test('should request structured output with the review schema', async () => {
+      mockedAxios.post.mockResolvedValue({
+        data: { choices: [{ message: { content: JSON.stringify({ comments: [] }) } }] }
+      });
+
+      await getReviewFromLLM(sampleHunk);
+
+      expect(mockedAxios.post.mock.calls[0][1].response_format).toEqual({
+        type: 'json_schema',
+        json_schema: {
+          name: 'review_response',
+          schema: toProviderSchema(REVIEW_RESPONSE_SCHEMA),
+          strict: true
+        }
+      });
+      expect(JSON.stringify(mockedAxios.post.mock.calls[0][1].response_format)).not.toMatch(/minLength|minimum|maximum/);
+    });
+
+    test('should repair a response that fails validation', async () => {
+      const invalid = JSON.stringify({ comments: [{ body: '', line: 'two' }] });
+      const comment = {
+        body: 'Handle the error',
+        startLine: null,
+        line: 2,
+        side: 'RIGHT',
+        severity: 'major',
+        category: 'correctness',
+        confidence: 0.9,
+        suggestion: null
+      };
+      const valid = JSON.stringify({ comments: [comment] });
+      mockedAxios.post
+        .mockResolvedValueOnce({ data: { choices: [{ message: { content: invalid } }] } })
+        .mockResolvedValueOnce({ data: { choices: [{ message: { content: valid } }] } });
+      const metrics = {};
+
+      const result = await getReviewFromLLM(sampleHunk, { metrics });
+
+      expect(result).toEqual({ comments: [comment] });
+      expect(metrics.repairs).toBe(1);
+
+      const repairMessages = mockedAxios.post.mock.calls[1][1].messages;
+      expect(repairMessages).toHaveLength(4);
+      expect(repairMessages[2]).toEqual({ role: 'assistant', content: invalid });
+      expect(repairMessages[3].role).toBe('user');
+      expect(repairMessages[3].content).toContain('$.comments[0].body: must not be empty');
+      expect(repairMessages[3].content).toContain('$.comments[0].line: expected integer but got string');
+    });
+
+    test('should give up after a single failed repair', async () => {
+      mockedAxios.post.mockResolvedValue({
+        data: { choices: [{ message: { content: JSON.stringify({ comments: [{ line: 2 }] }) } }] }
+      });
+
+      await expect(getReviewFromLLM(sampleHunk))
+        .rejects
+        .toThrow('Review response does not match schema: $.comments[0].body: is required');
+      expect(mockedAxios.post).toHaveBeenCalledTimes(2);
     });
 
     test('should handle axios errors', async () => {
@@ -186,7 +274,57 @@ describe('llm', () => {
       
       expect(userMessage.content).toContain(JSON.stringify(sampleHunk));
       expect(userMessage.content).toContain('Review the code changes');
-      expect(userMessage.content).toContain('Only comment on added or modified lines');
+      expect(userMessage.content).toContain('Comment on added lines with side "RIGHT"');
+      expect(userMessage.content).toContain('on deleted lines with side "LEFT"');
+      expect(userMessage.content).toContain('"startLine"');
+      expect(userMessage.content).toContain('Set severity to one of: critical, major, minor, nit');
+      expect(userMessage.content).toContain('Set category to one of: security, correctness, performance, style, maintainability, tests');
+      expect(userMessage.content).toContain('"confidence"');
+    });
+
+    test('should tell the model when the file was renamed', async () => {
+      mockedAxios.post.mockResolvedValue({ data: { choices: [{ message: { content: '{"comments": []}' } }] } });
+      const renamedHunk = {
+        ...sampleHunk,
+        file: { status: 'renamed', oldPath: 'old.js', newPath: 'test.js', similarity: 90 }
+      };
+
+      await getReviewFromLLM(renamedHunk);
+
+      const userMessage = mockedAxios.post.mock.calls[0][1].messages.find(msg => msg.role === 'user');
+      expect(userMessage.content).toContain('This file was renamed from old.js to test.js.');
+    });
+
+    test('should explain combined diffs of merge commits', async () => {
+      mockedAxios.post.mockResolvedValue({ data: { choices: [{ message: { content: '{"comments": []}' } }] } });
+
+      await getReviewFromLLM({ ...sampleHunk, file: { status: 'modified', isCombined: true } });
+
+      const userMessage = mockedAxios.post.mock.calls[0][1].messages.find(msg => msg.role === 'user');
+      expect(userMessage.content).toContain('This is a combined diff of a merge commit.');
+    });
+
+    test('should include the surrounding file within the context budget', async () => {
+      mockedAxios.post.mockResolvedValue({ data: { choices: [{ message: { content: '{"comments": []}' } }] } });
+      const fileContent = Array.from({ length: 400 }, (_, i) => `const v${i + 1} = ${i + 1};`).join('\n');
+      const hunk = { ...sampleHunk, hunkHeader: { oldStart: 200, oldLines: 2, newStart: 200, newLines: 3 } };
+
+      await getReviewFromLLM(hunk, { fileContent, fileContext: { lines: 5, maxTokens: 200 } });
+
+      const userMessage = mockedAxios.post.mock.calls[0][1].messages.find(msg => msg.role === 'user');
+      expect(userMessage.content).toContain('Lines 195-207 of the file after the change');
+      expect(userMessage.content).toContain('195: const v195 = 195;');
+      expect(userMessage.content).toContain('207: const v207 = 207;');
+      expect(userMessage.content).not.toContain('208: ');
+    });
+
+    test('should leave the file out of the prompt without file content', async () => {
+      mockedAxios.post.mockResolvedValue({ data: { choices: [{ message: { content: '{"comments": []}' } }] } });
+
+      await getReviewFromLLM(sampleHunk);
+
+      const userMessage = mockedAxios.post.mock.calls[0][1].messages.find(msg => msg.role === 'user');
+      expect(userMessage.content).not.toContain('of the file after the change');
     });
   });
 
@@ -297,6 +435,331 @@ index 123..456 100644
     });
   });
 
+  describe('chunked summaries', () => {
+    const { LLMCoordinator } = require('../src/llm');
+
+    const largeDiff = ['file1.js', 'file2.js', 'file3.js'].map(name => `diff --git a/${name} b/${name}
+--- a/${name}
++++ b/${name}
+@@ -1,1 +1,40 @@
+${Array.from({ length: 40 }, (_, i) => `+const value${i} = computeSomething(${i});`).join('\n')}`).join('\n');
+
+    function respondWith(text) {
+      return { data: { choices: [{ message: { content: text } }] } };
+    }
+
+    test('should estimate tokens per provider and model', () => {
+      const coordinator = new LLMCoordinator();
+      const openai = coordinator.getProvider('openai');
+      const anthropic = coordinator.getProvider('anthropic');
+
+      expect(openai.estimateTokens('x'.repeat(400))).toBe(100);
+      expect(anthropic.estimateTokens('x'.repeat(350))).toBe(100);
+      expect(openai.estimateTokens('x'.repeat(350), 'gpt-4')).toBe(100);
+      expect(openai.estimateTokens('x'.repeat(400), 'gpt-4o')).toBe(100);
+      expect(coordinator.getProvider('ollama').estimateTokens('x'.repeat(300), 'mistral:7b')).toBe(100);
+      expect(openai.getContextWindow('gpt-4o-mini')).toBe(128000);
+      expect(openai.getContextWindow('gpt-3.5-turbo')).toBe(16385);
+      expect(openai.getContextWindow('my-finetune')).toBe(8192);
+      expect(anthropic.getContextWindow()).toBe(200000);
+      expect(coordinator.getProvider('ollama').getContextWindow()).toBe(4096);
+    });
+
+    test('should send small diffs in a single request', async () => {
+      mockedAxios.post.mockResolvedValue(respondWith('Single summary'));
+
+      const result = await new LLMCoordinator().getSummary('diff --git a/a b/a\n+x');
+
+      expect(result).toBe('Single summary');
+      expect(mockedAxios.post).toHaveBeenCalledTimes(1);
+    });
+
+    test('should summarise large diffs in chunks and merge them', async () => {
+      mockedAxios.post
+        .mockResolvedValueOnce(respondWith('Part 1'))
+        .mockResolvedValueOnce(respondWith('Part 2'))
+        .mockResolvedValueOnce(respondWith('Part 3'))
+        .mockResolvedValue(respondWith('Merged summary'));
+      const metrics = {};
+
+      const result = await new LLMCoordinator().getSummary(largeDiff, { contextWindow: 1500, maxTokens: 500, metrics });
+
+      const prompts = mockedAxios.post.mock.calls.map(call => call[1].messages[1].content);
+      expect(prompts[0]).toContain('This is part 1 of 3');
+      expect(prompts[0]).toContain('file1.js');
+      expect(prompts[0]).not.toContain('file2.js');
+      expect(prompts[3]).toContain('Part 1\n\n---\n\nPart 2\n\n---\n\nPart 3');
+      expect(result).toBe('Merged summary\n\n_Summary merged from 3 chunks because the diff exceeded the model\'s context window._');
+      expect(metrics.summaryChunks).toBe(3);
+    });
+
+    test('should reject a context window too small for the summary', async () => {
+      await expect(new LLMCoordinator().getSummary(largeDiff, { contextWindow: 1000 }))
+        .rejects
+        .toThrow('Context window of openai is too small for a summary of 1500 tokens');
+    });
+  });
+
+  describe('streaming summaries', () => {
+    const { Readable } = require('stream');
+    const { LLMCoordinator, streamSummaryFromLLM } = require('../src/llm');
+
+    function sse(events) {
+      return Readable.from(events.map(event => Buffer.from(event)));
+    }
+
+    async function collect(generator) {
+      const chunks = [];
+      let result = await generator.next();
+      while (!result.done) {
+        chunks.push(result.value);
+        result = await generator.next();
+      }
+      return { chunks, text: result.value };
+    }
+
+    test('should stream OpenAI server-sent events', async () => {
+      mockedAxios.post.mockResolvedValue({
+        data: sse([
+          'data: {"choices":[{"delta":{"role":"assistant"}}]}\n\n',
+          'data: {"choices":[{"delta":{"content":"Added "}}]}\n\ndata: {"choices":[{"delta":{"con',
+          'tent":"validation"}}]}\n\n: keep-alive\n\n',
+          'data: {"choices":[{"delta":{},"finish_reason":"stop"}]}\n\n',
+          'data: [DONE]\n\n'
+        ])
+      });
+
+      const { chunks, text } = await collect(streamSummaryFromLLM('diff --git a/a b/a'));
+
+      expect(chunks).toEqual(['Added ', 'validation']);
+      expect(text).toBe('Added validation');
+      expect(mockedAxios.post).toHaveBeenCalledWith(
+        'https://api.openai.com/v1/chat/completions',
+        expect.objectContaining({ stream: true }),
+        expect.objectContaining({ responseType: 'stream' })
+      );
+    });
+
+    test('should stream Anthropic message events', async () => {
+      mockedAxios.post.mockResolvedValue({
+        data: sse([
+          'event: message_start\ndata: {"type":"message_start","message":{}}\n\n',
+          'event: content_block_delta\ndata: {"type":"content_block_delta","index":0,"delta":{"type":"text_delta","text":"Hello"}}\n\n',
+          'event: content_block_delta\ndata: {"type":"content_block_delta","index":0,"delta":{"type":"text_delta","text":" world"}}\n\n',
+          'event: message_delta\ndata: {"type":"message_delta","delta":{"stop_reason":"end_turn"}}\n\n',
+          'event: message_stop\ndata: {"type":"message_stop"}\n\n'
+        ])
+      });
+
+      const coordinator = new LLMCoordinator({ provider: 'anthropic', endpoint: 'https://api.anthropic.com/v1/messages' });
+      const { chunks, text } = await collect(coordinator.streamSummary('diff'));
+
+      expect(chunks).toEqual(['Hello', ' world']);
+      expect(text).toBe('Hello world');
+    });
+
+    test('should stream only the final merge of chunked summaries', async () => {
+      const largeDiff = ['one.js', 'two.js'].map(name => `diff --git a/${name} b/${name}
+@@ -1,1 +1,60 @@
+${Array.from({ length: 60 }, (_, i) => `+const value${i} = computeSomething(${i});`).join('\n')}`).join('\n');
+
+      mockedAxios.post
+        .mockResolvedValueOnce({ data: { choices: [{ message: { content: 'Part 1' } }] } })
+        .mockResolvedValueOnce({ data: { choices: [{ message: { content: 'Part 2' } }] } })
+        .mockResolvedValueOnce({ data: sse(['data: {"choices":[{"delta":{"content":"Merged"}}]}\n\n', 'data: [DONE]\n\n']) });
+
+      const { chunks, text } = await collect(new LLMCoordinator().streamSummary(largeDiff, { contextWindow: 1500, maxTokens: 500 }));
+
+      expect(chunks[0]).toBe('Merged');
+      expect(text).toBe('Merged\n\n_Summary merged from 2 chunks because the diff exceeded the model\'s context window._');
+      expect(mockedAxios.post.mock.calls[2][1].stream).toBe(true);
+    });
+
+    test('should fall back to a single chunk for providers without streaming', async () => {
+      const BaseProvider = require('../src/llm/providers/base');
+      class PlainProvider extends BaseProvider {
+        constructor() {
+          super({ name: 'plain', defaults: { endpoint: 'https://plain.example.com' }, auth: { type: 'none' } });
+        }
+        formatRequest(messages) {
+          return { messages };
+        }
+        parseResponse(data) {
+          return data.text;
+        }
+      }
+      mockedAxios.post.mockResolvedValue({ data: { text: 'Whole summary' } });
+
+      const { chunks, text } = await collect(new LLMCoordinator({ provider: new PlainProvider() }).streamSummary('diff'));
+
+      expect(chunks).toEqual(['Whole summary']);
+      expect(text).toBe('Whole summary');
+    });
+
+    test('should wrap errors when opening the stream', async () => {
+      const error = new Error('Request failed');
+      error.response = { status: 401, data: {} };
+      mockedAxios.post.mockRejectedValue(error);
+
+      await expect(collect(streamSummaryFromLLM('diff')))
+        .rejects
+        .toThrow('LLM API Error (openai): 401 - Request failed');
+    });
+  });
+
+  describe('retries', () => {
+    const { LLMCoordinator } = require('../src/llm');
+    const messages = [{ role: 'user', content: 'Hello' }];
+
+    function rateLimitError() {
+      const error = new Error('Request failed with status code 429');
+      error.response = { status: 429, headers: { 'retry-after': '0' }, data: { error: { message: 'Rate limit reached' } } };
+      return error;
+    }
+
+    beforeEach(() => {
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      console.warn.mockRestore();
+    });
+
+    test('should retry rate-limited requests and record metrics', async () => {
+      mockedAxios.post
+        .mockRejectedValueOnce(rateLimitError())
+        .mockResolvedValueOnce({ data: { choices: [{ message: { content: 'ok' } }] } });
+      const metrics = { retries: 0, retryDelayMs: 0 };
+
+      const result = await new LLMCoordinator().makeRequest(
+        process.env.LLM_ENDPOINT, process.env.LLM_API_KEY, messages, { metrics }
+      );
+
+      expect(result).toBe('ok');
+      expect(mockedAxios.post).toHaveBeenCalledTimes(2);
+      expect(metrics).toEqual({ retries: 1, retryDelayMs: 0 });
+    });
+
+    test('should report the final error once retries are exhausted', async () => {
+      mockedAxios.post.mockRejectedValue(rateLimitError());
+
+      await expect(new LLMCoordinator({ retry: { retries: 1 } }).getSummary('diff'))
+        .rejects
+        .toThrow('LLM API Error (openai): 429 - Rate limit reached');
+      expect(mockedAxios.post).toHaveBeenCalledTimes(2);
+    });
+
+    test('should not retry when disabled per call', async () => {
+      mockedAxios.post.mockRejectedValue(rateLimitError());
+
+      await expect(new LLMCoordinator().getSummary('diff', { retry: false })).rejects.toThrow('429');
+      expect(mockedAxios.post).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('response cache', () => {
+    const { Readable } = require('stream');
+    const { LLMCoordinator } = require('../src/llm');
+    const { ResponseCache } = require('../src/llm/cache');
+    const endpoint = 'https://api.openai.com/v1/chat/completions';
+    const apiKey = 'test-api-key';
+    const messages = [{ role: 'user', content: 'Hello' }];
+    const reply = content => ({ data: { choices: [{ message: { content } }] } });
+
+    test('should answer repeated requests from the cache and count hits and misses', async () => {
+      mockedAxios.post.mockResolvedValue(reply('Hi there'));
+      const coordinator = new LLMCoordinator({ cache: true });
+      const metrics = {};
+
+      const first = await coordinator.makeRequest(endpoint, apiKey, messages, { metrics });
+      const second = await coordinator.makeRequest(endpoint, apiKey, messages, { metrics });
+
+      expect([first, second]).toEqual(['Hi there', 'Hi there']);
+      expect(mockedAxios.post).toHaveBeenCalledTimes(1);
+      expect(metrics.cache).toEqual({ hits: 1, misses: 1 });
+    });
+
+    test('should key on model, prompt and options but not credentials', async () => {
+      mockedAxios.post.mockResolvedValue(reply('Hi there'));
+      const coordinator = new LLMCoordinator({ cache: true });
+
+      await coordinator.makeRequest(endpoint, 'key-1', messages, {});
+      await coordinator.makeRequest(endpoint, 'key-2', messages, {});
+      await coordinator.makeRequest(endpoint, apiKey, messages, { model: 'gpt-4o' });
+      await coordinator.makeRequest(endpoint, apiKey, messages, { temperature: 0.7 });
+      await coordinator.makeRequest(endpoint, apiKey, [{ role: 'user', content: 'Bye' }], {});
+
+      expect(mockedAxios.post).toHaveBeenCalledTimes(4);
+    });
+
+    test('should share a cache between coordinators and skip caching by default', async () => {
+      mockedAxios.post.mockResolvedValue(reply('Hi there'));
+      const cache = new ResponseCache();
+
+      await new LLMCoordinator({ cache }).makeRequest(endpoint, apiKey, messages, {});
+      await new LLMCoordinator({ cache }).makeRequest(endpoint, apiKey, messages, {});
+      await new LLMCoordinator().makeRequest(endpoint, apiKey, messages, {});
+
+      expect(mockedAxios.post).toHaveBeenCalledTimes(2);
+    });
+
+    test('should cache streamed responses once complete', async () => {
+      mockedAxios.post.mockResolvedValue({
+        data: Readable.from([Buffer.from('data: {"choices":[{"delta":{"content":"Hi "}}]}\n\ndata: {"choices":[{"delta":{"content":"there"}}]}\n\ndata: [DONE]\n\n')])
+      });
+      const coordinator = new LLMCoordinator({ cache: true });
+      const read = async () => {
+        const chunks = [];
+        for await (const chunk of coordinator.streamRequest(endpoint, apiKey, messages, {})) {
+          chunks.push(chunk);
+        }
+        return chunks;
+      };
+
+      expect(await read()).toEqual(['Hi ', 'there']);
+      expect(await read()).toEqual(['Hi there']);
+      expect(await coordinator.makeRequest(endpoint, apiKey, messages, {})).toBe('Hi there');
+      expect(mockedAxios.post).toHaveBeenCalledTimes(1);
+    });
+
+    test('should not keep review responses that fail validation', async () => {
+      const hunk = { filename: 'a.js', changes: [{ content: '+x', type: 'addition', lineNumber: 1 }] };
+      const valid = JSON.stringify({ comments: [] });
+      mockedAxios.post
+        .mockResolvedValueOnce(reply('not json'))
+        .mockResolvedValueOnce(reply(valid))
+        .mockResolvedValueOnce(reply(valid));
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      const coordinator = new LLMCoordinator({ cache: true });
+
+      await coordinator.getReview(hunk);
+      const metrics = {};
+      await coordinator.getReview(hunk, { metrics });
+
+      expect(mockedAxios.post).toHaveBeenCalledTimes(3);
+      expect(metrics.cache).toEqual({ hits: 0, misses: 1 });
+      expect(metrics.repairs).toBeUndefined();
+      console.error.mockRestore();
+    });
+
+    test('should fall back to the provider when the store fails', async () => {
+      const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+      mockedAxios.post.mockResolvedValue(reply('Hi there'));
+      const store = {
+        get: jest.fn().mockRejectedValue(new Error('disk full')),
+        set: jest.fn().mockRejectedValue(new Error('disk full')),
+        delete: jest.fn()
+      };
+
+      const result = await new LLMCoordinator({ cache: { store } }).makeRequest(endpoint, apiKey, messages, {});
+
+      expect(result).toBe('Hi there');
+      expect(warn).toHaveBeenCalledWith('Response cache read failed:', 'disk full');
+      expect(warn).toHaveBeenCalledWith('Response cache write failed:', 'disk full');
+      warn.mockRestore();
+    });
+  });
+
   describe('environment variable handling', () => {
     test('should use correct environment variables', async () => {
       process.env.LLM_API_KEY = 'custom-key';
@@ -334,6 +797,80 @@ index 123..456 100644
     });
   });
 
+  describe('explicit configuration', () => {
+    const { LLMCoordinator } = require('../src/llm');
+    const hunk = { filename: 'a.js', changes: [{ content: '+x', type: 'addition', lineNumber: 1 }] };
+
+    beforeEach(() => {
+      mockedAxios.post.mockResolvedValue({
+        data: { choices: [{ message: { content: JSON.stringify({ comments: [] }) } }] }
+      });
+    });
+
+    test('should let coordinators in one process use different settings', async () => {
+      const tenantA = new LLMCoordinator({ endpoint: 'https://a.example.com/v1/chat/completions', apiKey: 'key-a', model: 'model-a' });
+      const tenantB = new LLMCoordinator({ endpoint: 'https://b.example.com/v1/chat/completions', apiKey: 'key-b', model: 'model-b' });
+
+      await tenantA.getReview(hunk);
+      await tenantB.getReview(hunk);
+
+      expect(mockedAxios.post).toHaveBeenNthCalledWith(
+        1,
+        'https://a.example.com/v1/chat/completions',
+        expect.objectContaining({ model: 'model-a' }),
+        { headers: { 'Content-Type': 'application/json', 'Authorization': 'Bearer key-a' } }
+      );
+      expect(mockedAxios.post).toHaveBeenNthCalledWith(
+        2,
+        'https://b.example.com/v1/chat/completions',
+        expect.objectContaining({ model: 'model-b' }),
+        { headers: { 'Content-Type': 'application/json', 'Authorization': 'Bearer key-b' } }
+      );
+    });
+
+    test('should pass temperature and token limits to hunk and summary calls', async () => {
+      const coordinator = new LLMCoordinator({ temperature: 0, reviewMaxTokens: 700, summaryMaxTokens: 2500 });
+
+      await coordinator.getReview(hunk);
+      await coordinator.getSummary('diff');
+
+      expect(mockedAxios.post.mock.calls[0][1]).toEqual(expect.objectContaining({ temperature: 0, max_tokens: 700 }));
+      expect(mockedAxios.post.mock.calls[1][1]).toEqual(expect.objectContaining({ temperature: 0, max_tokens: 2500 }));
+    });
+
+    test('should let per-call options override config', async () => {
+      const coordinator = new LLMCoordinator({ model: 'config-model' });
+
+      await coordinator.getReview(hunk, { model: 'call-model', provider: undefined });
+
+      expect(mockedAxios.post.mock.calls[0][1].model).toBe('call-model');
+    });
+
+    test('should fall back to environment variables including LLM_MODEL', async () => {
+      process.env.LLM_MODEL = 'gpt-4o';
+
+      await new LLMCoordinator().getReview(hunk);
+
+      expect(mockedAxios.post).toHaveBeenCalledWith(
+        'https://api.openai.com/v1/chat/completions',
+        expect.objectContaining({ model: 'gpt-4o' }),
+        { headers: { 'Content-Type': 'application/json', 'Authorization': 'Bearer test-api-key' } }
+      );
+    });
+
+    test('should prefer config over environment variables', async () => {
+      process.env.LLM_MODEL = 'env-model';
+
+      await new LLMCoordinator({ model: 'config-model', apiKey: 'config-key' }).getReview(hunk);
+
+      expect(mockedAxios.post).toHaveBeenCalledWith(
+        expect.any(String),
+        expect.objectContaining({ model: 'config-model' }),
+        { headers: expect.objectContaining({ 'Authorization': 'Bearer config-key' }) }
+      );
+    });
+  });
+
   describe('provider system', () => {
     test('should use OpenAI provider', () => {
       const { __test__ } = require('../src/llm/index');
@@ -342,5 +879,139 @@ index 123..456 100644
       const provider = coordinator.getProvider();
       expect(provider.name).toBe('openai');
     });
+
+    const { LLMCoordinator, registerProvider, listProviders } = require('../src/llm');
+    const BaseProvider = require('../src/llm/providers/base');
+
+    class EchoProvider extends BaseProvider {
+      constructor() {
+        super({
+          name: 'echo',
+          defaults: { endpoint: 'https://echo.example.com/v1/chat', model: 'echo-1' },
+          auth: { type: 'header', header: 'x-echo-key' },
+          features: { jsonMode: false }
+        });
+      }
+
+      formatRequest(messages, options = {}) {
+        return { model: options.model || this.defaults.model, prompt: messages.map(m => m.content).join('\n') };
+      }
+
+      parseResponse(responseData) {
+        return responseData.text;
+      }
+
+      getErrorMessage(responseData) {
+        return responseData?.detail;
+      }
+    }
+
+    beforeAll(() => {
+      registerProvider('echo', EchoProvider);
+    });
+
+    test('should list registered providers', () => {
+      expect(listProviders()).toEqual(expect.arrayContaining(['openai', 'echo']));
+      expect(LLMCoordinator.listProviders()).toEqual(listProviders());
+    });
+
+    test('should describe endpoint defaults, auth scheme and features', () => {
+      const provider = new LLMCoordinator().getProvider('openai');
+
+      expect(provider.defaults).toEqual({
+        endpoint: 'https://api.openai.com/v1/chat/completions',
+        model: 'gpt-4o-mini'
+      });
+      expect(provider.auth).toEqual({ type: 'bearer', header: 'Authorization' });
+      expect(provider.supports('jsonMode')).toBe(true);
+      expect(provider.supports('streaming')).toBe(true);
+      expect(provider.supports('tools')).toBe(true);
+    });
+
+    test('should select provider per coordinator through config', () => {
+      const coordinator = new LLMCoordinator({ provider: 'echo' });
+      expect(coordinator.getProvider().name).toBe('echo');
+    });
+
+    test('should accept a provider instance in config', () => {
+      const instance = new EchoProvider();
+      const coordinator = new LLMCoordinator({ provider: instance });
+      expect(coordinator.getProvider()).toBe(instance);
+    });
+
+    test('should select provider from LLM_PROVIDER env var', () => {
+      process.env.LLM_PROVIDER = 'echo';
+      expect(new LLMCoordinator().getProvider().name).toBe('echo');
+    });
+
+    test('should throw for unknown provider', () => {
+      expect(() => new LLMCoordinator({ provider: 'missing' }).getProvider())
+        .toThrow('Unknown LLM provider: missing');
+    });
+
+    test('should reject invalid registrations', () => {
+      expect(() => registerProvider('', EchoProvider)).toThrow('Provider name must be a non-empty string');
+      expect(() => registerProvider('broken', null)).toThrow('Provider broken must be a class or an instance');
+
+      class LegacyProvider {
+        formatRequest() {}
+        parseResponse() {}
+        getHeaders() {}
+      }
+      expect(() => registerProvider('legacy', LegacyProvider)).toThrow(
+        'Provider legacy is missing getEndpoint, requiresApiKey, supports, estimateTokens, getContextWindow, getErrorMessage; providers should extend BaseProvider'
+      );
+      expect(() => registerProvider('legacy', { formatRequest() {} })).toThrow('Provider legacy is missing getEndpoint');
+      expect(listProviders()).not.toContain('legacy');
+    });
+
+    test('should use provider shapes when selected per call', async () => {
+      delete process.env.LLM_ENDPOINT;
+      mockedAxios.post.mockResolvedValue({ data: { text: '{"comments": []}' } });
+
+      const coordinator = new LLMCoordinator();
+      const result = await coordinator.getReview({ filename: 'a.js', changes: [] }, { provider: 'echo' });
+
+      expect(result).toEqual({ comments: [] });
+      expect(mockedAxios.post).toHaveBeenCalledWith(
+        'https://echo.example.com/v1/chat',
+        expect.objectContaining({ model: 'echo-1' }),
+        expect.objectContaining({
+          headers: {
+            'Content-Type': 'application/json',
+            'x-echo-key': 'test-api-key'
+          }
+        })
+      );
+    });
+
+    test('should use provider error shape', async () => {
+      const error = new Error('Request failed');
+      error.response = { status: 400, data: { detail: 'bad prompt' } };
+      mockedAxios.post.mockRejectedValue(error);
+
+      await expect(new LLMCoordinator({ provider: 'echo' }).getSummary('diff'))
+        .rejects
+        .toThrow('LLM API Error (echo): 400 - bad prompt');
+    });
+
+    test('should fall back to provider default endpoint', async () => {
+      delete process.env.LLM_ENDPOINT;
+      mockedAxios.post.mockResolvedValue({
+        data: { choices: [{ message: { content: 'Summary' } }] }
+      });
+
+      await new LLMCoordinator().getSummary('diff');
+
+      expect(mockedAxios.post.mock.calls[0][0]).toBe('https://api.openai.com/v1/chat/completions');
+    });
+
+    test('should require API key for authenticated providers', async () => {
+      delete process.env.LLM_API_KEY;
+
+      await expect(new LLMCoordinator().getSummary('diff'))
+        .rejects
+        .toThrow('LLM_API_KEY is required');
+    });
   });
 });
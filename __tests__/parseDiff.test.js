@@ -71,7 +71,7 @@ index 1234567..abcdefg 100644
 index abc123..def456 100644
 --- a/calculator.js
 +++ b/calculator.js
-@@ -1,6 +1,7 @@
+@@ -1,7 +1,8 @@
  function add(a, b) {
 -  return a + b;
 +  // Validate inputs
@@ -206,6 +206,31 @@ index 123..456 100644
       expect(result[0].changes[3].content).toBe('+  ');
     });
 
+    test('should parse diffs with CRLF line endings', () => {
+      const diff = [
+        'diff --git a/win.js b/win.js',
+        'index 123..456 100644',
+        '--- a/win.js',
+        '+++ b/win.js',
+        '@@ -1,2 +1,2 @@ function main() {',
+        ' const a = 1;',
+        '-const b = 2;',
+        '+const b = 3;',
+        ''
+      ].join('\r\n');
+
+      const result = parseDiff(diff);
+      expect(result).toHaveLength(1);
+      expect(result[0].filename).toBe('win.js');
+      expect(result[0].hunkHeader).toEqual({ oldStart: 1, oldLines: 2, newStart: 1, newLines: 2 });
+      expect(result[0].section).toBe('function main() {');
+      expect(result[0].changes).toEqual([
+        { content: ' const a = 1;', type: 'context', lineNumber: 1 },
+        { content: '-const b = 2;', type: 'deletion', lineNumber: 2 },
+        { content: '+const b = 3;', type: 'addition', lineNumber: 2 }
+      ]);
+    });
+
     test('should handle binary files indicator', () => {
       const diff = `diff --git a/image.png b/image.png
 index 123..456 100644
@@ -216,8 +241,759 @@ Binary files differ`;
       const result = parseDiff(diff);
       expect(result).toHaveLength(1);
       expect(result[0].filename).toBe('image.png');
-      expect(result[0].changes).toHaveLength(1);
-      expect(result[0].changes[0].content).toBe('Binary files differ');
+      expect(result[0].changes).toEqual([]);
+      expect(result[0].file.isBinary).toBe(true);
+    });
+  });
+
+  describe('text before the first file', () => {
+    const fileDiff = `diff --git a/app.js b/app.js
+index 123..456 100644
+--- a/app.js
++++ b/app.js
+@@ -1,2 +1,2 @@
+ const a = 1;
+-const b = 2;
++const b = 3;`;
+
+    test('should ignore a git show commit header', () => {
+      const diff = `commit 82efa16d3c1f9a0b6e8f2d4c5b7a9e0f1d2c3b4a
+Author: Jane Doe <jane@example.com>
+Date:   Mon Jan 6 10:00:00 2025 +0100
+
+    Change b
+
+    @@ not a hunk, just indented text in the message
+
+${fileDiff}
+`;
+
+      const result = parseDiff(diff);
+      expect(result).toHaveLength(1);
+      expect(result[0].filename).toBe('app.js');
+      expect(result[0].hunkHeader).toEqual({ oldStart: 1, oldLines: 2, newStart: 1, newLines: 2 });
+      expect(result[0].changes).toHaveLength(3);
+    });
+
+    test('should ignore a format-patch email header, diffstat and signature', () => {
+      const diff = `From 82efa16d3c1f9a0b6e8f2d4c5b7a9e0f1d2c3b4a Mon Sep 17 00:00:00 2001
+From: Jane Doe <jane@example.com>
+Date: Mon, 6 Jan 2025 10:00:00 +0100
+Subject: [PATCH] Change b
+
+Explain why b changes.
+---
+ app.js | 2 +-
+ 1 file changed, 1 insertion(+), 1 deletion(-)
+
+${fileDiff}
+--
+2.43.0
+`;
+
+      const result = parseDiff(diff);
+      expect(result).toHaveLength(1);
+      expect(result[0].filename).toBe('app.js');
+      expect(result[0].changes.map(change => change.content)).toEqual([' const a = 1;', '-const b = 2;', '+const b = 3;']);
+    });
+  });
+
+  describe('hunk headers', () => {
+    test('should capture line counts and the section heading', () => {
+      const diff = `diff --git a/app.js b/app.js
+index 123..456 100644
+--- a/app.js
++++ b/app.js
+@@ -10,3 +10,4 @@ function start(options) {
+   const port = options.port;
++  const host = options.host;
+   listen(port);
+ }`;
+
+      const result = parseDiff(diff);
+      expect(result[0].hunkHeader).toEqual({ oldStart: 10, oldLines: 3, newStart: 10, newLines: 4 });
+      expect(result[0].section).toBe('function start(options) {');
+    });
+
+    test('should default omitted counts to one line and the section to null', () => {
+      const diff = `diff --git a/a.txt b/a.txt
+index 123..456 100644
+--- a/a.txt
++++ b/a.txt
+@@ -3 +3 @@
+-old
++new`;
+
+      const result = parseDiff(diff);
+      expect(result[0].hunkHeader).toEqual({ oldStart: 3, oldLines: 1, newStart: 3, newLines: 1 });
+      expect(result[0].section).toBeNull();
+    });
+
+    test('should stop a hunk after its counted lines', () => {
+      const diff = `diff --git a/a.js b/a.js
+index 123..456 100644
+--- a/a.js
++++ b/a.js
+@@ -1,2 +1,2 @@
+-const a = 1;
++const a = 2;
+ const b = 3;
+-- 
+2.42.0
+`;
+
+      const result = parseDiff(diff);
+      expect(result).toHaveLength(1);
+      expect(result[0].changes.map(change => change.content)).toEqual([
+        '-const a = 1;',
+        '+const a = 2;',
+        ' const b = 3;'
+      ]);
+    });
+
+    test('should keep changed lines that look like file headers', () => {
+      const diff = `diff --git a/notes.md b/notes.md
+index 123..456 100644
+--- a/notes.md
++++ b/notes.md
+@@ -1,2 +1,2 @@
+--- old separator
++++ new separator
+ index of topics`;
+
+      const result = parseDiff(diff);
+      expect(result[0].changes).toEqual([
+        { content: '--- old separator', type: 'deletion', lineNumber: 1 },
+        { content: '+++ new separator', type: 'addition', lineNumber: 1 },
+        { content: ' index of topics', type: 'context', lineNumber: 2 }
+      ]);
+    });
+
+    test('should treat empty lines inside a hunk as context', () => {
+      const diff = `diff --git a/a.js b/a.js
+index 123..456 100644
+--- a/a.js
++++ b/a.js
+@@ -1,3 +1,4 @@
+ const a = 1;
+
++const b = 2;
+ const c = 3;`;
+
+      const result = parseDiff(diff);
+      expect(result[0].changes.map(change => [change.type, change.lineNumber])).toEqual([
+        ['context', 1],
+        ['context', 2],
+        ['addition', 3],
+        ['context', 4]
+      ]);
+    });
+  });
+
+  describe('missing newline at end of file', () => {
+    test('should flag the new side without adding a change', () => {
+      const diff = `diff --git a/a.txt b/a.txt
+index 123..456 100644
+--- a/a.txt
++++ b/a.txt
+@@ -1,2 +1,2 @@
+ first
+-second
++second
+\\ No newline at end of file`;
+
+      const result = parseDiff(diff);
+      expect(result[0].changes).toHaveLength(3);
+      expect(result[0].oldNoNewlineAtEnd).toBe(false);
+      expect(result[0].newNoNewlineAtEnd).toBe(true);
+    });
+
+    test('should flag the old side when a newline is added', () => {
+      const diff = `diff --git a/a.txt b/a.txt
+index 123..456 100644
+--- a/a.txt
++++ b/a.txt
+@@ -1 +1,2 @@
+-last
+\\ No newline at end of file
++last
++more`;
+
+      const result = parseDiff(diff);
+      expect(result[0].changes.map(change => [change.type, change.lineNumber])).toEqual([
+        ['deletion', 1],
+        ['addition', 1],
+        ['addition', 2]
+      ]);
+      expect(result[0].oldNoNewlineAtEnd).toBe(true);
+      expect(result[0].newNoNewlineAtEnd).toBe(false);
+    });
+
+    test('should flag both sides after a context line', () => {
+      const diff = `diff --git a/a.txt b/a.txt
+index 123..456 100644
+--- a/a.txt
++++ b/a.txt
+@@ -1,2 +1,3 @@
++added
+ one
+ two
+\\ No newline at end of file`;
+
+      const result = parseDiff(diff);
+      expect(result[0].changes).toHaveLength(3);
+      expect(result[0].oldNoNewlineAtEnd).toBe(true);
+      expect(result[0].newNoNewlineAtEnd).toBe(true);
+    });
+  });
+
+  describe('combined diffs', () => {
+    const mergeDiff = `diff --cc config.js
+index 1a2b3c4,5d6e7f8..9a8b7c6
+--- a/config.js
++++ b/config.js
+@@@ -1,4 -1,4 +1,5 @@@ module.exports = {
+    name: 'app',
+-   port: 3000,
+ -  port: 8080,
+++  port: process.env.PORT || 3000,
+ +  host: 'localhost',
++   debug: false,
+  };`;
+
+    test('should read the file and per-parent hunk ranges', () => {
+      const result = parseDiff(mergeDiff);
+
+      expect(result).toHaveLength(1);
+      expect(result[0].filename).toBe('config.js');
+      expect(result[0].file).toMatchObject({ status: 'modified', oldPath: 'config.js', newPath: 'config.js', isCombined: true });
+      expect(result[0].hunkHeader).toEqual({
+        oldStart: 1,
+        oldLines: 4,
+        newStart: 1,
+        newLines: 5,
+        parents: [
+          { oldStart: 1, oldLines: 4 },
+          { oldStart: 1, oldLines: 4 }
+        ]
+      });
+      expect(result[0].section).toBe('module.exports = {');
+    });
+
+    test('should give each change its type and line number per parent', () => {
+      const changes = parseDiff(mergeDiff)[0].changes;
+
+      expect(changes.map(change => [change.type, change.lineNumber])).toEqual([
+        ['context', 1],
+        ['deletion', 2],
+        ['deletion', 2],
+        ['addition', 2],
+        ['addition', 3],
+        ['addition', 4],
+        ['context', 5]
+      ]);
+
+      // Removed in the merge: only in the first parent
+      expect(changes[1].parents).toEqual([
+        { type: 'deletion', lineNumber: 2 },
+        { type: null, lineNumber: null }
+      ]);
+      // The conflict resolution: new relative to both parents
+      expect(changes[3].parents).toEqual([
+        { type: 'addition', lineNumber: null },
+        { type: 'addition', lineNumber: null }
+      ]);
+      // Taken from the first parent, new relative to the second
+      expect(changes[4].parents).toEqual([
+        { type: 'context', lineNumber: 3 },
+        { type: 'addition', lineNumber: null }
+      ]);
+      expect(changes[6].parents).toEqual([
+        { type: 'context', lineNumber: 4 },
+        { type: 'context', lineNumber: 4 }
+      ]);
+    });
+
+    test('should not add parents to changes in ordinary diffs', () => {
+      const diff = `diff --git a/a.js b/a.js
+index 123..456 100644
+--- a/a.js
++++ b/a.js
+@@ -1 +1 @@
+-a
++b`;
+
+      const result = parseDiff(diff);
+      expect(result[0].hunkHeader).not.toHaveProperty('parents');
+      expect(result[0].changes[0]).not.toHaveProperty('parents');
+    });
+
+    test('should parse diff --combined headers and merge modes', () => {
+      const diff = `diff --combined run.sh
+mode 100644,100644..100755
+index 123,456..789
+--- a/run.sh
++++ b/run.sh
+@@@ -1,1 -1,1 +1,1 @@@
+- echo one
+ -echo two
+++echo three`;
+
+      const result = parseDiff(diff);
+      expect(result[0].file).toMatchObject({ oldMode: '100644', newMode: '100755', isCombined: true });
+      expect(result[0].changes.map(change => change.type)).toEqual(['deletion', 'deletion', 'addition']);
+      expect(result[0].changes.map(change => change.lineNumber)).toEqual([1, 1, 1]);
+    });
+
+    test('should follow a combined diff with an ordinary one', () => {
+      const result = parseDiff(`${mergeDiff}
+diff --git a/b.js b/b.js
+index 123..456 100644
+--- a/b.js
++++ b/b.js
+@@ -1 +1,2 @@
+ a
++b`);
+
+      expect(result).toHaveLength(2);
+      expect(result[1].file.isCombined).toBe(false);
+      expect(result[1].changes).toEqual([
+        { content: ' a', type: 'context', lineNumber: 1 },
+        { content: '+b', type: 'addition', lineNumber: 2 }
+      ]);
+    });
+  });
+
+  describe('paths', () => {
+    test('should keep spaces in unquoted paths', () => {
+      const diff = `diff --git a/My Docs/read me.md b/My Docs/read me.md
+index 123..456 100644
+--- a/My Docs/read me.md
++++ b/My Docs/read me.md
+@@ -1 +1 @@
+-old
++new`;
+
+      const result = parseDiff(diff);
+      expect(result[0].filename).toBe('My Docs/read me.md');
+      expect(result[0].file).toMatchObject({ oldPath: 'My Docs/read me.md', newPath: 'My Docs/read me.md' });
+    });
+
+    test('should find the split of header-only files with spaces and " b/" in their name', () => {
+      const diff = `diff --git a/x b/y b/x b/y
+old mode 100644
+new mode 100755`;
+
+      expect(parseDiff(diff)[0].filename).toBe('x b/y');
+    });
+
+    test('should strip the tab git adds after names with spaces', () => {
+      const diff = `diff --git a/My Docs/a.md b/My Docs/a.md
+new file mode 100644
+index 0000000..123
+--- /dev/null
++++ b/My Docs/a.md	
+@@ -0,0 +1 @@
++hello`;
+
+      expect(parseDiff(diff)[0].filename).toBe('My Docs/a.md');
+    });
+
+    test('should unquote C-style escapes and UTF-8 octal sequences', () => {
+      const diff = `diff --git "a/na\\303\\257ve \\"quoted\\".txt" "b/na\\303\\257ve \\"quoted\\".txt"
+index 123..456 100644
+--- "a/na\\303\\257ve \\"quoted\\".txt"
++++ "b/na\\303\\257ve \\"quoted\\".txt"
+@@ -1 +1 @@
+-old
++new`;
+
+      expect(parseDiff(diff)[0].filename).toBe('naïve "quoted".txt');
+    });
+
+    test('should handle a quoted path on one side only', () => {
+      const diff = `diff --git a/plain.txt "b/tab\\there.txt"
+similarity index 100%
+rename from plain.txt
+rename to "tab\\there.txt"`;
+
+      const result = parseDiff(diff);
+      expect(result[0].file).toMatchObject({ status: 'renamed', oldPath: 'plain.txt', newPath: 'tab\there.txt' });
+    });
+
+    test('should prefer rename headers for renamed paths with spaces', () => {
+      const diff = `diff --git a/old name.js b/new name.js
+similarity index 80%
+rename from old name.js
+rename to new name.js
+index 123..456 100644
+--- a/old name.js
++++ b/new name.js
+@@ -1 +1 @@
+-a
++b`;
+
+      const result = parseDiff(diff);
+      expect(result[0].file).toMatchObject({ oldPath: 'old name.js', newPath: 'new name.js' });
+      expect(result[0].filename).toBe('new name.js');
+    });
+
+    test('should parse --no-prefix diffs without losing characters', () => {
+      const diff = `diff --git src/app.js src/app.js
+index 123..456 100644
+--- src/app.js
++++ src/app.js
+@@ -1 +1 @@
+-a
++b`;
+
+      expect(parseDiff(diff)[0].filename).toBe('src/app.js');
+    });
+
+    test('should detect custom and mnemonic prefixes', () => {
+      const diff = `diff --git i/lib/x.js w/lib/x.js
+index 123..456 100644
+--- i/lib/x.js
++++ w/lib/x.js
+@@ -1 +1 @@
+-a
++b`;
+
+      expect(parseDiff(diff)[0].file).toMatchObject({ oldPath: 'lib/x.js', newPath: 'lib/x.js' });
+    });
+
+    test('should accept explicit prefixes', () => {
+      const diff = `diff --git before/a/x.js after/a/x.js
+new file mode 100644
+index 0000000..123
+--- /dev/null
++++ after/a/x.js
+@@ -0,0 +1 @@
++x`;
+
+      const result = parseDiff(diff, { srcPrefix: 'before/', dstPrefix: 'after/' });
+      expect(result[0].filename).toBe('a/x.js');
+      expect(result[0].file.oldPath).toBeNull();
+    });
+
+    test('should treat paths as unprefixed when told so', () => {
+      const diff = `diff --git a/x.js a/x.js
+index 123..456 100644
+--- a/x.js
++++ a/x.js
+@@ -1 +1 @@
+-a
++b`;
+
+      expect(parseDiff(diff, { srcPrefix: '', dstPrefix: '' })[0].filename).toBe('a/x.js');
+    });
+
+    test('should unquote combined diff paths', () => {
+      const diff = `diff --cc "caf\\303\\251.txt"
+index 1,2..3
+@@@ -1,1 -1,1 +1,1 @@@
+- a
+ -b
+++c`;
+
+      expect(parseDiff(diff)[0].filename).toBe('café.txt');
+    });
+  });
+
+  describe('non-git formats', () => {
+    test('should parse diff -u output and strip matching directory prefixes', () => {
+      const diff = `--- old/src/app.c	2024-01-01 10:00:00.000000000 +0000
++++ new/src/app.c	2024-01-02 11:00:00.000000000 +0000
+@@ -1,2 +1,3 @@
+ int main() {
++  init();
+ }
+--- old/README	2024-01-01 10:00:00.000000000 +0000
++++ new/README	2024-01-02 11:00:00.000000000 +0000
+@@ -1 +1 @@
+-Hello
++Hello, world`;
+
+      const result = parseDiff(diff);
+      expect(result.map(hunk => hunk.filename)).toEqual(['src/app.c', 'README']);
+      expect(result[0].changes[1]).toEqual({ content: '+  init();', type: 'addition', lineNumber: 2 });
+      expect(result[1].file).toMatchObject({ status: 'modified', oldPath: 'README', newPath: 'README' });
+    });
+
+    test('should keep differing names such as backups as they are', () => {
+      const diff = `--- app.c.orig	2024-01-01 10:00:00 +0000
++++ app.c	2024-01-02 11:00:00 +0000
+@@ -1 +1 @@
+-a
++b`;
+
+      expect(parseDiff(diff)[0].file).toMatchObject({ oldPath: 'app.c.orig', newPath: 'app.c' });
+    });
+
+    test('should parse diff -ru output with command lines and binary files', () => {
+      const diff = `diff -ru a/lib/util.c b/lib/util.c
+--- a/lib/util.c	2024-01-01 10:00:00 +0000
++++ b/lib/util.c	2024-01-02 11:00:00 +0000
+@@ -1 +1 @@
+-a
++b
+Only in b/lib: extra.c
+Binary files a/img/logo.png and b/img/logo.png differ`;
+
+      const result = parseDiff(diff);
+      expect(result).toHaveLength(2);
+      expect(result[0].filename).toBe('lib/util.c');
+      expect(result[0].changes).toHaveLength(2);
+      expect(result[1]).toMatchObject({ filename: 'img/logo.png', changes: [] });
+      expect(result[1].file.isBinary).toBe(true);
+    });
+
+    test('should parse svn diff output', () => {
+      const diff = `Index: trunk/src/Main.java
+===================================================================
+--- trunk/src/Main.java	(revision 1412)
++++ trunk/src/Main.java	(working copy)
+@@ -10,3 +10,4 @@ public class Main {
+     public static void main(String[] args) {
++        System.out.println("start");
+         run();
+     }
+Index: trunk/src/New.java
+===================================================================
+--- trunk/src/New.java	(nonexistent)
++++ trunk/src/New.java	(working copy)
+@@ -0,0 +1 @@
++class New {}
+Index: trunk/lib/tool.jar
+===================================================================
+Cannot display: file marked as a binary type.
+svn:mime-type = application/octet-stream
+
+Property changes on: trunk/src/Main.java
+___________________________________________________________________
+Added: svn:eol-style
+## -0,0 +1 ##
++native`;
+
+      const result = parseDiff(diff);
+      expect(result.map(hunk => hunk.filename)).toEqual(['trunk/src/Main.java', 'trunk/src/New.java', 'trunk/lib/tool.jar']);
+      expect(result[0].section).toBe('public class Main {');
+      expect(result[0].changes[1].lineNumber).toBe(11);
+      expect(result[1].file).toMatchObject({ status: 'added', oldPath: null, newPath: 'trunk/src/New.java' });
+      expect(result[2].file.isBinary).toBe(true);
+    });
+
+    test('should parse hg diff output', () => {
+      const diff = `diff -r 9117c6561b0b -r 273ce12ad8f1 src/my file.py
+--- a/src/my file.py	Thu Jan 01 00:00:00 1970 +0000
++++ b/src/my file.py	Fri Feb 02 12:00:00 2024 +0000
+@@ -1 +1,2 @@
+ import os
++import sys
+diff -r 9117c6561b0b docs/old.txt
+--- a/docs/old.txt	Thu Jan 01 00:00:00 1970 +0000
++++ /dev/null	Thu Jan 01 00:00:00 1970 +0000
+@@ -1 +0,0 @@
+-gone`;
+
+      const result = parseDiff(diff);
+      expect(result.map(hunk => hunk.filename)).toEqual(['src/my file.py', 'docs/old.txt']);
+      expect(result[1].file).toMatchObject({ status: 'deleted', oldPath: 'docs/old.txt', newPath: null });
+    });
+
+    test('should parse p4 diff -du output', () => {
+      const diff = `==== //depot/main/app.c#3 - /home/dev/ws/main/app.c ====
+@@ -5,2 +5,3 @@
+ int x;
++int y;
+ int z;
+==== //depot/main/util.h#7 (text) ====
+@@ -1 +1 @@
+-#define A 1
++#define A 2`;
+
+      const result = parseDiff(diff);
+      expect(result.map(hunk => hunk.filename)).toEqual(['//depot/main/app.c', '//depot/main/util.h']);
+      expect(result[0].changes[1].lineNumber).toBe(6);
+    });
+
+    test('should honour an explicit format', () => {
+      const diff = `--- a.txt
++++ a.txt
+@@ -1 +1 @@
+-a
++b`;
+
+      expect(parseDiff(diff, { format: 'unified' })[0].filename).toBe('a.txt');
+      expect(parseDiff(diff, { format: 'git' })[0].filename).toBe('');
+      expect(() => parseDiff(diff, { format: 'cvs' })).toThrow('Unknown diff format: cvs');
+    });
+
+    test('should still parse hunks without any file header', () => {
+      const result = parseDiff(`@@ -1,2 +1,2 @@
+-a
++b
+ c`);
+
+      expect(result).toHaveLength(1);
+      expect(result[0].filename).toBe('');
+      expect(result[0].changes.map(change => change.lineNumber)).toEqual([1, 1, 2]);
+    });
+  });
+
+  describe('file metadata', () => {
+    test('should describe modified files', () => {
+      const diff = `diff --git a/test.js b/test.js
+index 123..456 100644
+--- a/test.js
++++ b/test.js
+@@ -1,2 +1,3 @@
+ const a = 1;
++const b = 2;
+ const c = 3;`;
+
+      const result = parseDiff(diff);
+      expect(result[0].file).toEqual({
+        status: 'modified',
+        oldPath: 'test.js',
+        newPath: 'test.js',
+        similarity: null,
+        oldMode: '100644',
+        newMode: '100644',
+        isBinary: false,
+        isCombined: false
+      });
+    });
+
+    test('should mark new files as added', () => {
+      const diff = `diff --git a/new.js b/new.js
+new file mode 100644
+index 0000000..abc1234
+--- /dev/null
++++ b/new.js
+@@ -0,0 +1,2 @@
++const a = 1;
++const b = 2;`;
+
+      const result = parseDiff(diff);
+      expect(result).toHaveLength(1);
+      expect(result[0].filename).toBe('new.js');
+      expect(result[0].changes[0].lineNumber).toBe(1);
+      expect(result[0].file).toMatchObject({ status: 'added', oldPath: null, newPath: 'new.js', newMode: '100644' });
+    });
+
+    test('should mark deleted files and name them by their old path', () => {
+      const diff = `diff --git a/old.js b/old.js
+deleted file mode 100755
+index abc1234..0000000
+--- a/old.js
++++ /dev/null
+@@ -1,2 +0,0 @@
+-const a = 1;
+-const b = 2;`;
+
+      const result = parseDiff(diff);
+      expect(result[0].filename).toBe('old.js');
+      expect(result[0].file).toMatchObject({ status: 'deleted', oldPath: 'old.js', newPath: null, oldMode: '100755' });
+    });
+
+    test('should use the new path for renamed files', () => {
+      const diff = `diff --git a/src/old-name.js b/src/new-name.js
+similarity index 92%
+rename from src/old-name.js
+rename to src/new-name.js
+index 123..456 100644
+--- a/src/old-name.js
++++ b/src/new-name.js
+@@ -1,2 +1,2 @@
+-const name = 'old';
++const name = 'new';
+ module.exports = name;`;
+
+      const result = parseDiff(diff);
+      expect(result).toHaveLength(1);
+      expect(result[0].filename).toBe('src/new-name.js');
+      expect(result[0].file).toMatchObject({
+        status: 'renamed',
+        oldPath: 'src/old-name.js',
+        newPath: 'src/new-name.js',
+        similarity: 92
+      });
+    });
+
+    test('should return an entry for pure renames and copies without hunks', () => {
+      const diff = `diff --git a/a.js b/b.js
+similarity index 100%
+rename from a.js
+rename to b.js
+diff --git a/c.js b/d.js
+similarity index 100%
+copy from c.js
+copy to d.js`;
+
+      const result = parseDiff(diff);
+      expect(result).toHaveLength(2);
+      expect(result[0]).toMatchObject({ filename: 'b.js', changes: [], hunkHeader: null });
+      expect(result[0].file).toMatchObject({ status: 'renamed', oldPath: 'a.js', similarity: 100 });
+      expect(result[1].file).toMatchObject({ status: 'copied', oldPath: 'c.js', newPath: 'd.js' });
+    });
+
+    test('should record mode changes', () => {
+      const diff = `diff --git a/script.sh b/script.sh
+old mode 100644
+new mode 100755`;
+
+      const result = parseDiff(diff);
+      expect(result).toHaveLength(1);
+      expect(result[0].changes).toEqual([]);
+      expect(result[0].file).toMatchObject({ status: 'modified', oldMode: '100644', newMode: '100755' });
+    });
+
+    test('should detect git binary patches and named binary markers', () => {
+      const diff = `diff --git a/logo.png b/logo.png
+new file mode 100644
+index 0000000..1234567
+Binary files /dev/null and b/logo.png differ
+diff --git a/font.woff b/font.woff
+index 89abcde..fedcba9 100644
+GIT binary patch
+literal 1024
+zcmV;h1W)^k0{{R3
+
+literal 0
+HcmV?d00001
+diff --git a/app.js b/app.js
+index 123..456 100644
+--- a/app.js
++++ b/app.js
+@@ -1 +1 @@
+-old
++new`;
+
+      const result = parseDiff(diff);
+      expect(result.map(hunk => [hunk.filename, hunk.file.isBinary, hunk.changes.length])).toEqual([
+        ['logo.png', true, 0],
+        ['font.woff', true, 0],
+        ['app.js', false, 2]
+      ]);
+      expect(result[0].file.status).toBe('added');
+    });
+
+    test('should share the file object between hunks of the same file', () => {
+      const diff = `diff --git a/app.js b/app.js
+index 123..456 100644
+--- a/app.js
++++ b/app.js
+@@ -1,2 +1,2 @@
+-a
++b
+@@ -10,2 +10,2 @@
+-c
++d`;
+
+      const result = parseDiff(diff);
+      expect(result).toHaveLength(2);
+      expect(result[0].file).toBe(result[1].file);
     });
   });
 
@@ -0,0 +1,139 @@
+const {
+  buildGitHubReviews,
+  buildGitLabDiscussions,
+  buildBitbucketCloudComments,
+  buildBitbucketServerComments
+} = require('../src/platforms');
+
+describe('platforms', () => {
+  const results = {
+    summary: 'Adds input validation',
+    comments: [
+      {
+        body: 'Validate the whole block',
+        startLine: 10,
+        line: 12,
+        side: 'RIGHT',
+        filename: 'src/new.js',
+        suggestion: 'validate(input);',
+        suggestionBlock: '```suggestion\nvalidate(input);\n```'
+      },
+      { body: 'Removed a null check', startLine: null, line: 4, side: 'LEFT', filename: 'src/new.js' },
+      { body: 'Split this file', startLine: null, line: null, side: 'RIGHT', subjectType: 'file', filename: 'src/big.js' }
+    ],
+    hunks: [
+      { filename: 'src/new.js', file: { status: 'renamed', oldPath: 'src/old.js', newPath: 'src/new.js' } },
+      { filename: 'src/big.js', file: { status: 'modified', oldPath: 'src/big.js', newPath: 'src/big.js' } }
+    ]
+  };
+
+  describe('buildGitHubReviews', () => {
+    test('should build a review with line comments and fold file comments into the body', () => {
+      const reviews = buildGitHubReviews(results, { commitId: 'abc123' });
+
+      expect(reviews).toEqual([{
+        body: 'Adds input validation\n\n**`src/big.js`**: Split this file',
+        event: 'COMMENT',
+        commit_id: 'abc123',
+        comments: [
+          {
+            path: 'src/new.js',
+            body: 'Validate the whole block\n\n```suggestion\nvalidate(input);\n```',
+            line: 12,
+            side: 'RIGHT',
+            start_line: 10,
+            start_side: 'RIGHT'
+          },
+          { path: 'src/new.js', body: 'Removed a null check', line: 4, side: 'LEFT' }
+        ]
+      }]);
+    });
+
+    test('should split comments over the per-request limit and send the event last', () => {
+      const many = {
+        comments: Array.from({ length: 5 }, (_, i) => ({ body: `Comment ${i}`, line: i + 1, side: 'RIGHT', filename: 'a.js' }))
+      };
+
+      const reviews = buildGitHubReviews(many, { maxComments: 2, event: 'REQUEST_CHANGES' });
+
+      expect(reviews.map(review => review.comments.length)).toEqual([2, 2, 1]);
+      expect(reviews.map(review => review.event)).toEqual(['COMMENT', 'COMMENT', 'REQUEST_CHANGES']);
+      expect(reviews[1].body).toBe('Review comments, part 2 of 3');
+      expect(reviews[0]).not.toHaveProperty('commit_id');
+    });
+
+    test('should return one review when there are no comments', () => {
+      expect(buildGitHubReviews({ summary: 'Looks good', comments: [] }, { event: 'APPROVE' }))
+        .toEqual([{ body: 'Looks good', event: 'APPROVE', comments: [] }]);
+    });
+
+    test('should reject unknown events and missing results', () => {
+      expect(() => buildGitHubReviews(results, { event: 'MERGE' })).toThrow('Unknown review event: MERGE');
+      expect(() => buildGitHubReviews(null)).toThrow('Review results with a comments array are required');
+    });
+  });
+
+  describe('buildGitLabDiscussions', () => {
+    const shas = { baseSha: 'base', startSha: 'start', headSha: 'head' };
+
+    test('should position comments on new or old lines of renamed files', () => {
+      const discussions = buildGitLabDiscussions(results, shas);
+      const position = { position_type: 'text', base_sha: 'base', start_sha: 'start', head_sha: 'head', old_path: 'src/old.js', new_path: 'src/new.js' };
+
+      expect(discussions).toEqual([
+        { body: 'Adds input validation' },
+        {
+          body: 'Validate the whole block\n\n```suggestion:-2+0\nvalidate(input);\n```',
+          position: { ...position, new_line: 12 }
+        },
+        { body: 'Removed a null check', position: { ...position, old_line: 4 } },
+        { body: '**`src/big.js`**: Split this file' }
+      ]);
+    });
+
+    test('should leave out the summary when asked', () => {
+      const discussions = buildGitLabDiscussions(results, { ...shas, includeSummary: false });
+
+      expect(discussions).toHaveLength(3);
+    });
+
+    test('should require the diff refs', () => {
+      expect(() => buildGitLabDiscussions(results, { baseSha: 'base' }))
+        .toThrow('GitLab positions require baseSha, startSha and headSha');
+    });
+  });
+
+  describe('buildBitbucketCloudComments', () => {
+    test('should anchor comments with to, from or the path alone', () => {
+      const comments = buildBitbucketCloudComments(results);
+
+      expect(comments).toEqual([
+        { content: { raw: 'Adds input validation' } },
+        {
+          content: { raw: 'Validate the whole block\n\nSuggested change:\n\n```\nvalidate(input);\n```' },
+          inline: { path: 'src/new.js', to: 12 }
+        },
+        { content: { raw: 'Removed a null check' }, inline: { path: 'src/new.js', from: 4 } },
+        { content: { raw: 'Split this file' }, inline: { path: 'src/big.js' } }
+      ]);
+    });
+  });
+
+  describe('buildBitbucketServerComments', () => {
+    test('should anchor comments to added or removed lines of the effective diff', () => {
+      const comments = buildBitbucketServerComments(results, { includeSummary: false });
+
+      expect(comments).toEqual([
+        {
+          text: 'Validate the whole block\n\nSuggested change:\n\n```\nvalidate(input);\n```',
+          anchor: { path: 'src/new.js', srcPath: 'src/old.js', diffType: 'EFFECTIVE', line: 12, lineType: 'ADDED', fileType: 'TO' }
+        },
+        {
+          text: 'Removed a null check',
+          anchor: { path: 'src/new.js', srcPath: 'src/old.js', diffType: 'EFFECTIVE', line: 4, lineType: 'REMOVED', fileType: 'FROM' }
+        },
+        { text: 'Split this file', anchor: { path: 'src/big.js', diffType: 'EFFECTIVE' } }
+      ]);
+    });
+  });
+});
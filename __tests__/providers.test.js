@@ -0,0 +1,354 @@
+const axios = require('axios');
+const AnthropicProvider = require('../src/llm/providers/anthropic');
+const OllamaProvider = require('../src/llm/providers/ollama');
+const OpenAIProvider = require('../src/llm/providers/openai');
+const AzureOpenAIProvider = require('../src/llm/providers/azure');
+const { LLMCoordinator } = require('../src/llm');
+
+jest.mock('axios');
+const mockedAxios = axios;
+
+describe('providers', () => {
+  beforeEach(() => {
+    jest.resetAllMocks();
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('AnthropicProvider', () => {
+    const provider = new AnthropicProvider();
+    const messages = [
+      { role: 'system', content: 'You review code.' },
+      { role: 'user', content: 'Review this hunk' }
+    ];
+
+    test('should not advertise native JSON schema support', () => {
+      expect(provider.supports('jsonSchema')).toBe(false);
+    });
+
+    test('should move system prompt to top-level field', () => {
+      const body = provider.formatRequest(messages, { maxTokens: 500 });
+
+      expect(body).toEqual({
+        model: 'claude-3-5-haiku-latest',
+        system: 'You review code.',
+        messages: [{ role: 'user', content: 'Review this hunk' }],
+        max_tokens: 500,
+        temperature: 0.1
+      });
+    });
+
+    test('should omit system field when there is no system prompt', () => {
+      const body = provider.formatRequest([{ role: 'user', content: 'Hi' }]);
+      expect(body).not.toHaveProperty('system');
+    });
+
+    test('should require a non-system message', () => {
+      expect(() => provider.formatRequest([{ role: 'system', content: 'Only system' }]))
+        .toThrow('Messages must include at least one user message');
+    });
+
+    test('should send x-api-key and anthropic-version headers', () => {
+      expect(provider.getHeaders('sk-ant')).toEqual({
+        'Content-Type': 'application/json',
+        'x-api-key': 'sk-ant',
+        'anthropic-version': '2023-06-01'
+      });
+    });
+
+    test('should join text content blocks', () => {
+      const content = provider.parseResponse({
+        content: [
+          { type: 'text', text: '{"comments":' },
+          { type: 'tool_use', id: 'x', name: 'noop', input: {} },
+          { type: 'text', text: ' []}' }
+        ],
+        stop_reason: 'end_turn'
+      });
+
+      expect(content).toBe('{"comments": []}');
+      expect(console.warn).not.toHaveBeenCalled();
+    });
+
+    test('should report truncation like the OpenAI provider', () => {
+      provider.parseResponse({
+        content: [{ type: 'text', text: 'Partial' }],
+        stop_reason: 'max_tokens'
+      });
+
+      expect(console.warn).toHaveBeenCalledWith('Anthropic response was truncated due to token limit');
+    });
+
+    test('should reject invalid or empty responses', () => {
+      expect(() => provider.parseResponse({ choices: [] })).toThrow('Invalid Anthropic response format');
+      expect(() => provider.parseResponse({ content: [] })).toThrow('Empty response from Anthropic');
+    });
+
+    test('should parse stream events', () => {
+      expect(provider.parseStreamChunk({
+        event: 'content_block_delta',
+        data: '{"type":"content_block_delta","delta":{"type":"text_delta","text":"Hi"}}'
+      })).toEqual({ text: 'Hi', done: false });
+      expect(provider.parseStreamChunk({ event: 'ping', data: '{"type":"ping"}' })).toBeNull();
+      expect(provider.parseStreamChunk({ event: 'message_stop', data: '{"type":"message_stop"}' }))
+        .toEqual({ text: '', done: true });
+    });
+
+    test('should report truncation and errors in streams', () => {
+      provider.parseStreamChunk({ event: 'message_delta', data: '{"type":"message_delta","delta":{"stop_reason":"max_tokens"}}' });
+      expect(console.warn).toHaveBeenCalledWith('Anthropic response was truncated due to token limit');
+
+      expect(() => provider.parseStreamChunk({
+        event: 'error',
+        data: '{"type":"error","error":{"type":"overloaded_error","message":"Overloaded"}}'
+      })).toThrow('Anthropic stream error: Overloaded');
+    });
+
+    test('should request streaming', () => {
+      expect(provider.formatRequest(messages, { stream: true }).stream).toBe(true);
+    });
+
+    test('should be selectable through the coordinator', async () => {
+      mockedAxios.post.mockResolvedValue({
+        data: { content: [{ type: 'text', text: 'Summary' }], stop_reason: 'end_turn' }
+      });
+
+      const coordinator = new LLMCoordinator({ provider: 'anthropic' });
+      const result = await coordinator.makeRequest(undefined, 'sk-ant', messages);
+
+      expect(result).toBe('Summary');
+      expect(mockedAxios.post).toHaveBeenCalledWith(
+        'https://api.anthropic.com/v1/messages',
+        expect.objectContaining({ system: 'You review code.' }),
+        expect.objectContaining({
+          headers: expect.objectContaining({ 'x-api-key': 'sk-ant' })
+        })
+      );
+    });
+  });
+
+  describe('OllamaProvider', () => {
+    const provider = new OllamaProvider();
+    const messages = [
+      { role: 'system', content: 'You review code.' },
+      { role: 'user', content: 'Review this hunk' }
+    ];
+
+    test('should format native /api/chat request', () => {
+      const body = provider.formatRequest(messages, { model: 'qwen2.5-coder:7b', maxTokens: 800 });
+
+      expect(body).toEqual({
+        model: 'qwen2.5-coder:7b',
+        messages,
+        stream: false,
+        options: { num_predict: 800, temperature: 0.1 }
+      });
+    });
+
+    test('should pass the response schema as the output format', () => {
+      const schema = { type: 'object' };
+      expect(provider.formatRequest(messages, { responseSchema: { name: 'review_response', schema } }).format).toBe(schema);
+      expect(provider.supports('jsonSchema')).toBe(true);
+    });
+
+    test('should parse message content and report truncation', () => {
+      const content = provider.parseResponse({
+        message: { role: 'assistant', content: 'Looks fine' },
+        done: true,
+        done_reason: 'length'
+      });
+
+      expect(content).toBe('Looks fine');
+      expect(console.warn).toHaveBeenCalledWith('Ollama response was truncated due to token limit');
+    });
+
+    test('should reject invalid or empty responses', () => {
+      expect(() => provider.parseResponse({})).toThrow('Invalid Ollama response format');
+      expect(() => provider.parseResponse({ message: { content: ' ' } })).toThrow('Empty response from Ollama');
+    });
+
+    test('should parse newline-delimited stream chunks', () => {
+      expect(provider.streamFormat).toBe('ndjson');
+      expect(provider.formatRequest(messages, { stream: true }).stream).toBe(true);
+      expect(provider.parseStreamChunk({ data: '{"message":{"content":"Hel"},"done":false}' }))
+        .toEqual({ text: 'Hel', done: false });
+      expect(provider.parseStreamChunk({ data: '{"message":{"content":""},"done":true,"done_reason":"stop"}' }))
+        .toEqual({ text: '', done: true });
+      expect(() => provider.parseStreamChunk({ data: '{"error":"model not loaded"}' }))
+        .toThrow('Ollama stream error: model not loaded');
+    });
+
+    test('should stream through the coordinator', async () => {
+      const { Readable } = require('stream');
+      mockedAxios.post.mockResolvedValue({
+        data: Readable.from([
+          '{"message":{"content":"Local"},"done":false}\n{"message":{"content":" summary"},"done":false}\n',
+          '{"message":{"content":""},"done":true}\n'
+        ])
+      });
+
+      const chunks = [];
+      for await (const text of new LLMCoordinator({ provider: 'ollama' }).streamRequest(undefined, undefined, messages)) {
+        chunks.push(text);
+      }
+
+      expect(chunks).toEqual(['Local', ' summary']);
+    });
+
+    test('should not send auth headers', () => {
+      expect(provider.requiresApiKey()).toBe(false);
+      expect(provider.getHeaders('ignored')).toEqual({ 'Content-Type': 'application/json' });
+    });
+
+    test('should work through the coordinator without an API key', async () => {
+      mockedAxios.post.mockResolvedValue({ data: { message: { content: 'Summary' }, done: true } });
+
+      const coordinator = new LLMCoordinator({ provider: 'ollama' });
+      const result = await coordinator.makeRequest(undefined, undefined, messages);
+
+      expect(result).toBe('Summary');
+      expect(mockedAxios.post.mock.calls[0][0]).toBe('http://localhost:11434/api/chat');
+    });
+
+    test('should surface Ollama string errors', async () => {
+      const error = new Error('Request failed');
+      error.response = { status: 404, data: { error: 'model "missing" not found' } };
+      mockedAxios.post.mockRejectedValue(error);
+
+      await expect(new LLMCoordinator({ provider: 'ollama' }).makeRequest(undefined, undefined, messages))
+        .rejects
+        .toThrow('LLM API Error (ollama): 404 - model "missing" not found');
+    });
+  });
+
+  describe('OpenAIProvider with compatible servers', () => {
+    const provider = new OpenAIProvider();
+    const messages = [{ role: 'user', content: 'Hi' }];
+
+    test('should require an API key only for the public OpenAI API', () => {
+      expect(provider.requiresApiKey('https://api.openai.com/v1/chat/completions')).toBe(true);
+      expect(provider.requiresApiKey('http://localhost:8000/v1/chat/completions')).toBe(false);
+    });
+
+    test('should omit Authorization header without a key', () => {
+      expect(provider.getHeaders(undefined)).toEqual({ 'Content-Type': 'application/json' });
+    });
+
+    test('should pass model names through unchanged to keyless servers', async () => {
+      const originalEnv = process.env;
+      process.env = { ...originalEnv, LLM_ENDPOINT: 'http://localhost:8000/v1/chat/completions' };
+      delete process.env.LLM_API_KEY;
+      mockedAxios.post.mockResolvedValue({ data: { choices: [{ message: { content: 'ok' } }] } });
+
+      try {
+        await new LLMCoordinator().getSummary('diff', { model: 'meta-llama/Llama-3.1-8B-Instruct' });
+      } finally {
+        process.env = originalEnv;
+      }
+
+      expect(mockedAxios.post).toHaveBeenCalledWith(
+        'http://localhost:8000/v1/chat/completions',
+        expect.objectContaining({ model: 'meta-llama/Llama-3.1-8B-Instruct' }),
+        { headers: { 'Content-Type': 'application/json' } }
+      );
+    });
+
+    test('should still format messages for compatible servers', () => {
+      expect(provider.formatRequest(messages, { model: 'local-model' }).model).toBe('local-model');
+    });
+  });
+
+  describe('AzureOpenAIProvider', () => {
+    const provider = new AzureOpenAIProvider({ resource: 'contoso', deployment: 'gpt4o-review', apiVersion: '2024-10-21' });
+    const messages = [{ role: 'user', content: 'Review this hunk' }];
+
+    test('should build deployment endpoint from resource, deployment and API version', () => {
+      expect(provider.getEndpoint()).toBe(
+        'https://contoso.openai.azure.com/openai/deployments/gpt4o-review/chat/completions?api-version=2024-10-21'
+      );
+    });
+
+    test('should accept a resource base URL or full deployment URL', () => {
+      expect(provider.getEndpoint('https://eu.example.azure.com/', { deployment: 'other' })).toBe(
+        'https://eu.example.azure.com/openai/deployments/other/chat/completions?api-version=2024-10-21'
+      );
+      expect(provider.getEndpoint('https://contoso.openai.azure.com/openai/deployments/x/chat/completions?api-version=2023-05-15'))
+        .toBe('https://contoso.openai.azure.com/openai/deployments/x/chat/completions?api-version=2023-05-15');
+    });
+
+    test('should require a deployment', () => {
+      expect(() => new AzureOpenAIProvider({ resource: 'contoso' }).getEndpoint())
+        .toThrow('Azure OpenAI deployment is required');
+    });
+
+    test('should read settings from environment variables', () => {
+      const originalEnv = process.env;
+      process.env = {
+        ...originalEnv,
+        AZURE_OPENAI_RESOURCE: 'envres',
+        AZURE_OPENAI_DEPLOYMENT: 'envdep',
+        AZURE_OPENAI_API_VERSION: '2024-02-01'
+      };
+
+      try {
+        expect(new AzureOpenAIProvider().getEndpoint()).toBe(
+          'https://envres.openai.azure.com/openai/deployments/envdep/chat/completions?api-version=2024-02-01'
+        );
+      } finally {
+        process.env = originalEnv;
+      }
+    });
+
+    test('should use api-key header and omit model from the body', () => {
+      expect(provider.getHeaders('azure-key')).toEqual({
+        'Content-Type': 'application/json',
+        'api-key': 'azure-key'
+      });
+      expect(provider.requiresApiKey()).toBe(true);
+
+      const body = provider.formatRequest(messages, { model: 'gpt-4o' });
+      expect(body).not.toHaveProperty('model');
+      expect(body.messages).toEqual(messages);
+    });
+
+    test('should turn filtered completions into clear errors', () => {
+      expect(() => provider.parseResponse({
+        choices: [{
+          finish_reason: 'content_filter',
+          message: { content: null },
+          content_filter_results: { hate: { filtered: false }, violence: { filtered: true, severity: 'medium' } }
+        }]
+      })).toThrow('Azure OpenAI content filter rejected the response (categories: violence)');
+    });
+
+    test('should turn prompt content-filter rejections into clear errors', async () => {
+      const error = new Error('Request failed with status code 400');
+      error.response = {
+        status: 400,
+        data: {
+          error: {
+            code: 'content_filter',
+            message: 'The response was filtered due to the prompt triggering Azure OpenAI\'s content management policy.',
+            innererror: {
+              code: 'ResponsibleAIPolicyViolation',
+              content_filter_result: { self_harm: { filtered: true }, sexual: { filtered: false } }
+            }
+          }
+        }
+      };
+      mockedAxios.post.mockRejectedValue(error);
+
+      const coordinator = new LLMCoordinator({ provider });
+      await expect(coordinator.makeRequest(undefined, 'azure-key', messages))
+        .rejects
+        .toThrow('LLM API Error (azure): 400 - Azure OpenAI content filter rejected the prompt (categories: self_harm)');
+    });
+
+    test('should be registered as azure', () => {
+      expect(new LLMCoordinator({ provider: 'azure' }).getProvider()).toBeInstanceOf(AzureOpenAIProvider);
+    });
+  });
+});
@@ -0,0 +1,187 @@
+const {
+  DEFAULT_RETRY_POLICY,
+  resolveRetryPolicy,
+  isRetryable,
+  parseRetryAfter,
+  parseRateLimitReset,
+  getRetryDelay,
+  withRetry
+} = require('../src/llm/retry');
+
+function httpError(status, headers = {}) {
+  const error = new Error(`Request failed with status code ${status}`);
+  error.response = { status, headers, data: {} };
+  return error;
+}
+
+describe('retry', () => {
+  describe('resolveRetryPolicy', () => {
+    test('should merge overrides over defaults', () => {
+      expect(resolveRetryPolicy({ retries: 5 })).toEqual({ ...DEFAULT_RETRY_POLICY, retries: 5 });
+      expect(resolveRetryPolicy()).toEqual(DEFAULT_RETRY_POLICY);
+    });
+
+    test('should disable retries with false', () => {
+      expect(resolveRetryPolicy(false).retries).toBe(0);
+    });
+  });
+
+  describe('isRetryable', () => {
+    const policy = resolveRetryPolicy();
+
+    test('should retry rate limits and server errors', () => {
+      expect(isRetryable(httpError(429), policy)).toBe(true);
+      expect(isRetryable(httpError(503), policy)).toBe(true);
+      expect(isRetryable(httpError(529), policy)).toBe(true);
+    });
+
+    test('should not retry client errors', () => {
+      expect(isRetryable(httpError(400), policy)).toBe(false);
+      expect(isRetryable(httpError(401), policy)).toBe(false);
+    });
+
+    test('should retry transient network errors only', () => {
+      expect(isRetryable(Object.assign(new Error('reset'), { code: 'ECONNRESET' }), policy)).toBe(true);
+      expect(isRetryable(new Error('Network error'), policy)).toBe(false);
+    });
+
+    test('should honour a custom status policy', () => {
+      expect(isRetryable(httpError(429), { ...policy, retryOn: [503] })).toBe(false);
+    });
+  });
+
+  describe('parseRetryAfter', () => {
+    const now = Date.parse('2025-01-08T12:00:00Z');
+
+    test('should parse Retry-After seconds and dates', () => {
+      expect(parseRetryAfter({ 'retry-after': '3' }, now)).toBe(3000);
+      expect(parseRetryAfter({ 'Retry-After': 'Wed, 08 Jan 2025 12:00:10 GMT' }, now)).toBe(10000);
+    });
+
+    test('should prefer retry-after-ms', () => {
+      expect(parseRetryAfter({ 'retry-after-ms': '250', 'retry-after': '1' }, now)).toBe(250);
+    });
+
+    test('should return null without usable headers', () => {
+      expect(parseRetryAfter(undefined)).toBeNull();
+      expect(parseRetryAfter({ 'content-type': 'application/json' })).toBeNull();
+      expect(parseRetryAfter({ 'retry-after': 'soon' }, now)).toBeNull();
+      expect(parseRetryAfter({ 'x-ratelimit-reset-requests': '1s' }, now)).toBeNull();
+    });
+  });
+
+  describe('parseRateLimitReset', () => {
+    const now = Date.parse('2025-01-08T12:00:00Z');
+
+    test('should use the reset of the exhausted window', () => {
+      expect(parseRateLimitReset({
+        'x-ratelimit-remaining-requests': '0',
+        'x-ratelimit-reset-requests': '120ms',
+        'x-ratelimit-remaining-tokens': '5000',
+        'x-ratelimit-reset-tokens': '1m30s'
+      }, now)).toBe(120);
+    });
+
+    test('should use the earliest reset when no window reports being exhausted', () => {
+      expect(parseRateLimitReset({
+        'x-ratelimit-reset-requests': '20ms',
+        'x-ratelimit-reset-tokens': '6m0s'
+      }, now)).toBe(20);
+    });
+
+    test('should parse epoch reset times', () => {
+      expect(parseRateLimitReset({ 'x-ratelimit-reset': String(now / 1000 + 5) }, now)).toBe(5000);
+    });
+
+    test('should return null without reset headers', () => {
+      expect(parseRateLimitReset(undefined)).toBeNull();
+      expect(parseRateLimitReset({ 'retry-after': '1' }, now)).toBeNull();
+    });
+  });
+
+  describe('getRetryDelay', () => {
+    const policy = { ...DEFAULT_RETRY_POLICY, jitter: false };
+
+    test('should back off exponentially up to the maximum delay', () => {
+      expect(getRetryDelay(httpError(503), 1, policy)).toBe(1000);
+      expect(getRetryDelay(httpError(503), 3, policy)).toBe(4000);
+      expect(getRetryDelay(httpError(503), 10, policy)).toBe(30000);
+    });
+
+    test('should apply jitter within half of the backoff', () => {
+      const delay = getRetryDelay(httpError(503), 2, { ...policy, jitter: true });
+      expect(delay).toBeGreaterThanOrEqual(1000);
+      expect(delay).toBeLessThanOrEqual(2000);
+    });
+
+    test('should respect Retry-After over backoff', () => {
+      expect(getRetryDelay(httpError(429, { 'retry-after': '7' }), 1, policy)).toBe(7000);
+    });
+
+    test('should cap rate-limit reset delays at the maximum delay', () => {
+      const error = httpError(429, { 'x-ratelimit-remaining-tokens': '0', 'x-ratelimit-reset-tokens': '6m0s' });
+
+      expect(getRetryDelay(error, 1, policy)).toBe(30000);
+      expect(getRetryDelay(httpError(429, { 'x-ratelimit-reset-requests': '20ms' }), 1, policy)).toBe(20);
+    });
+  });
+
+  describe('withRetry', () => {
+    test('should retry until the operation succeeds', async () => {
+      const operation = jest.fn()
+        .mockRejectedValueOnce(httpError(429, { 'retry-after': '0' }))
+        .mockRejectedValueOnce(httpError(503, { 'retry-after': '0' }))
+        .mockResolvedValueOnce('ok');
+      const onRetry = jest.fn();
+
+      await expect(withRetry(operation, {}, onRetry)).resolves.toBe('ok');
+
+      expect(operation).toHaveBeenCalledTimes(3);
+      expect(onRetry).toHaveBeenCalledTimes(2);
+      expect(onRetry).toHaveBeenCalledWith(expect.objectContaining({ attempt: 1, delay: 0, status: 429 }));
+    });
+
+    test('should give up after the configured retries', async () => {
+      const error = httpError(503, { 'retry-after': '0' });
+      const operation = jest.fn().mockRejectedValue(error);
+
+      await expect(withRetry(operation, { retries: 2 })).rejects.toBe(error);
+      expect(operation).toHaveBeenCalledTimes(3);
+    });
+
+    test('should not retry non-retryable errors', async () => {
+      const operation = jest.fn().mockRejectedValue(httpError(401));
+
+      await expect(withRetry(operation)).rejects.toThrow('status code 401');
+      expect(operation).toHaveBeenCalledTimes(1);
+    });
+
+    test('should keep retrying when rate-limit windows reset beyond the maximum total wait', async () => {
+      jest.useFakeTimers();
+      const operation = jest.fn()
+        .mockRejectedValueOnce(httpError(429, {
+          'x-ratelimit-reset-requests': '20ms',
+          'x-ratelimit-remaining-tokens': '0',
+          'x-ratelimit-reset-tokens': '6m0s'
+        }))
+        .mockResolvedValueOnce('ok');
+      const onRetry = jest.fn();
+
+      const result = withRetry(operation, {}, onRetry);
+      await jest.advanceTimersByTimeAsync(30000);
+
+      await expect(result).resolves.toBe('ok');
+      expect(onRetry).toHaveBeenCalledWith(expect.objectContaining({ attempt: 1, delay: 30000, status: 429 }));
+      jest.useRealTimers();
+    });
+
+    test('should stop when the next wait exceeds the maximum total wait', async () => {
+      const operation = jest.fn().mockRejectedValue(httpError(429, { 'retry-after': '120' }));
+      const onRetry = jest.fn();
+
+      await expect(withRetry(operation, { maxTotalWait: 60000 }, onRetry)).rejects.toThrow('status code 429');
+      expect(operation).toHaveBeenCalledTimes(1);
+      expect(onRetry).not.toHaveBeenCalled();
+    });
+  });
+});
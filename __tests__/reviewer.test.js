@@ -5,13 +5,19 @@ jest.mock('../src/parseDiff');
 jest.mock('../src/llm');
 
 const parseDiff = require('../src/parseDiff');
-const { getReviewFromLLM, getSummaryFromLLM } = require('../src/llm');
+const { LLMCoordinator } = require('../src/llm');
+
+const getReviewFromLLM = jest.fn();
+const getSummaryFromLLM = jest.fn();
+const streamSummaryFromLLM = jest.fn();
 
 describe('CodeReviewer', () => {
     let reviewer;
 
     beforeEach(() => {
-        reviewer = new CodeReviewer();
+        reviewer = new CodeReviewer({
+            coordinator: { getReview: getReviewFromLLM, getSummary: getSummaryFromLLM, streamSummary: streamSummaryFromLLM }
+        });
         jest.clearAllMocks();
     });
 
@@ -19,6 +25,28 @@ describe('CodeReviewer', () => {
         test('should create instance with correct name', () => {
             expect(reviewer.name).toBe('AI Code Reviewer');
         });
+
+        test('should create a coordinator from config', () => {
+            const config = {
+                provider: 'anthropic',
+                endpoint: 'https://llm.example.com',
+                apiKey: 'tenant-key',
+                model: 'claude-3-5-sonnet-latest',
+                temperature: 0,
+                reviewMaxTokens: 800,
+                summaryMaxTokens: 2000
+            };
+
+            const configured = new CodeReviewer(config);
+
+            expect(LLMCoordinator).toHaveBeenCalledWith(config);
+            expect(configured.llm).toBeInstanceOf(LLMCoordinator);
+        });
+
+        test('should use a provided coordinator', () => {
+            const coordinator = { getReview: jest.fn(), getSummary: jest.fn() };
+            expect(new CodeReviewer({ coordinator }).llm).toBe(coordinator);
+        });
     });
 
     describe('reviewChanges', () => {
@@ -64,7 +92,9 @@ index 123..456 100644
             expect(results.comments).toHaveLength(1);
             expect(results.comments[0]).toEqual({
                 body: 'Consider using const consistently',
+                startLine: null,
                 line: 2,
+                side: 'RIGHT',
                 filename: 'test.js',
                 hunkHeader: { oldStart: 1, newStart: 1 }
             });
@@ -74,6 +104,15 @@ index 123..456 100644
             expect(results.metadata.reviewedAt).toBeDefined();
         });
 
+        test('should return results in the shape of createResults', async () => {
+            parseDiff.mockReturnValue(mockHunks);
+            getReviewFromLLM.mockResolvedValue({ comments: [] });
+
+            const results = await reviewer.reviewChanges(mockDiffData, { generateSummary: false });
+
+            expect(CodeReviewer.createResults()).toEqual({ ...results, hunks: [], metadata: { ...results.metadata, totalHunks: 0, reviewedAt: expect.any(String) } });
+        });
+
         test('should skip summary generation when disabled', async () => {
             parseDiff.mockReturnValue(mockHunks);
             getReviewFromLLM.mockResolvedValue({ comments: [] });
@@ -101,6 +140,299 @@ index 123..456 100644
             expect(results.metadata.totalHunks).toBe(2);
         });
 
+        test('should review hunks concurrently up to the limit', async () => {
+            const manyHunks = Array.from({ length: 6 }, (_, i) => ({
+                ...mockHunks[0],
+                filename: `file${i}.js`
+            }));
+            let inFlight = 0;
+            let maxInFlight = 0;
+
+            parseDiff.mockReturnValue(manyHunks);
+            getReviewFromLLM.mockImplementation(async () => {
+                inFlight++;
+                maxInFlight = Math.max(maxInFlight, inFlight);
+                await new Promise(resolve => setTimeout(resolve, 5));
+                inFlight--;
+                return { comments: [] };
+            });
+
+            await reviewer.reviewChanges(mockDiffData, { concurrency: 2, generateSummary: false });
+
+            expect(getReviewFromLLM).toHaveBeenCalledTimes(6);
+            expect(maxInFlight).toBe(2);
+        });
+
+        test('should not start further hunk reviews after one fails', async () => {
+            const manyHunks = Array.from({ length: 10 }, (_, i) => ({
+                ...mockHunks[0],
+                filename: `file${i}.js`
+            }));
+            manyHunks[2] = { ...manyHunks[2], filename: '' };
+
+            parseDiff.mockReturnValue(manyHunks);
+            getReviewFromLLM.mockImplementation(async () => {
+                await new Promise(resolve => setTimeout(resolve, 5));
+                return { comments: [] };
+            });
+
+            await expect(reviewer.reviewChanges(mockDiffData, { concurrency: 2, generateSummary: false }))
+                .rejects.toThrow('Review failed: Invalid hunk data');
+            const callsAtFailure = getReviewFromLLM.mock.calls.length;
+            await new Promise(resolve => setTimeout(resolve, 50));
+
+            expect(callsAtFailure).toBeLessThanOrEqual(2);
+            expect(getReviewFromLLM).toHaveBeenCalledTimes(callsAtFailure);
+        });
+
+        test('should reject a concurrency that is not a positive number', async () => {
+            parseDiff.mockReturnValue(mockHunks);
+
+            await expect(reviewer.reviewChanges(mockDiffData, { concurrency: 'auto' }))
+                .rejects.toThrow('concurrency must be a positive number, got auto');
+            await expect(reviewer.reviewChanges(mockDiffData, { concurrency: 0 }))
+                .rejects.toThrow('concurrency must be a positive number, got 0');
+            expect(getReviewFromLLM).not.toHaveBeenCalled();
+        });
+
+        test('should run the summary alongside hunk reviews', async () => {
+            let resolveSummary;
+            parseDiff.mockReturnValue(mockHunks);
+            getSummaryFromLLM.mockReturnValue(new Promise(resolve => {
+                resolveSummary = resolve;
+            }));
+            getReviewFromLLM.mockImplementation(async () => {
+                resolveSummary('Summary finished after review started');
+                return { comments: [] };
+            });
+
+            const results = await reviewer.reviewChanges(mockDiffData);
+
+            expect(results.summary).toBe('Summary finished after review started');
+        });
+
+        test('should order comments by file and line regardless of completion order', async () => {
+            const changes = [
+                { content: '+const b = 2;', type: 'addition', lineNumber: 2 },
+                { content: '+const c = 3;', type: 'addition', lineNumber: 3 }
+            ];
+            const unorderedHunks = [
+                { ...mockHunks[0], filename: 'b.js', changes },
+                { ...mockHunks[0], filename: 'a.js', changes }
+            ];
+            const delays = { 'b.js': 1, 'a.js': 10 };
+
+            parseDiff.mockReturnValue(unorderedHunks);
+            getReviewFromLLM.mockImplementation(async (hunk) => {
+                await new Promise(resolve => setTimeout(resolve, delays[hunk.filename]));
+                return {
+                    comments: [
+                        { body: `Second in ${hunk.filename}`, line: 3 },
+                        { body: `First in ${hunk.filename}`, line: 2 }
+                    ]
+                };
+            });
+
+            const results = await reviewer.reviewChanges(mockDiffData, { generateSummary: false });
+
+            expect(results.comments.map(c => c.body)).toEqual([
+                'First in a.js',
+                'Second in a.js',
+                'First in b.js',
+                'Second in b.js'
+            ]);
+        });
+
+        test('should report anchoring outcomes in metadata', async () => {
+            parseDiff.mockReturnValue(mockHunks);
+            getSummaryFromLLM.mockResolvedValue('Summary');
+            getReviewFromLLM.mockResolvedValue({
+                comments: [
+                    { body: 'On the added line', line: 2 },
+                    { body: 'On a context line', line: 3 },
+                    { body: 'Far outside the hunk', line: 90 }
+                ]
+            });
+
+            const results = await reviewer.reviewChanges(mockDiffData);
+
+            expect(results.comments.map(c => c.line)).toEqual([2, 2]);
+            expect(results.metadata.anchoring).toEqual({ anchored: 1, snapped: 1, demoted: 0, dropped: 1 });
+            expect(results.metadata.totalComments).toBe(2);
+        });
+
+        test('should demote unanchored comments when requested', async () => {
+            parseDiff.mockReturnValue(mockHunks);
+            getReviewFromLLM.mockResolvedValue({ comments: [{ body: 'Far outside the hunk', line: 90 }] });
+
+            const results = await reviewer.reviewChanges(mockDiffData, {
+                generateSummary: false,
+                anchoring: { unanchored: 'file' }
+            });
+
+            expect(results.comments).toEqual([expect.objectContaining({
+                line: null,
+                subjectType: 'file',
+                filename: 'test.js'
+            })]);
+            expect(results.metadata.anchoring.demoted).toBe(1);
+        });
+
+        test('should load file context once per file and pass it to the review', async () => {
+            const contextProvider = jest.fn().mockResolvedValue('const a = 1;\nconst b = 2;\nconst c = 3;\n');
+            parseDiff.mockReturnValue([mockHunks[0], { ...mockHunks[0], hunkHeader: { oldStart: 9, newStart: 10 } }]);
+            getReviewFromLLM.mockResolvedValue({ comments: [] });
+
+            await reviewer.reviewChanges(mockDiffData, {
+                generateSummary: false,
+                contextProvider,
+                fileContext: { lines: 10, maxTokens: 500 }
+            });
+
+            expect(contextProvider).toHaveBeenCalledTimes(1);
+            expect(contextProvider).toHaveBeenCalledWith({ path: 'test.js', hunk: mockHunks[0] });
+            expect(getReviewFromLLM).toHaveBeenCalledWith(mockHunks[0], expect.objectContaining({
+                fileContent: 'const a = 1;\nconst b = 2;\nconst c = 3;\n',
+                fileContext: { lines: 10, maxTokens: 500 }
+            }));
+        });
+
+        test('should review without context when it cannot be loaded', async () => {
+            const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+            const contextProvider = jest.fn().mockRejectedValue(new Error('not a git repository'));
+            parseDiff.mockReturnValue([mockHunks[0], { ...mockHunks[0], filename: 'gone.js', file: { status: 'deleted' } }]);
+            getReviewFromLLM.mockResolvedValue({ comments: [] });
+
+            await reviewer.reviewChanges(mockDiffData, { generateSummary: false, contextProvider });
+
+            expect(contextProvider).toHaveBeenCalledTimes(1);
+            expect(getReviewFromLLM).toHaveBeenCalledTimes(2);
+            expect(getReviewFromLLM.mock.calls.map(call => call[1].fileContent)).toEqual([null, null]);
+            expect(warn).toHaveBeenCalledWith('Failed to load context for test.js:', 'not a git repository');
+            warn.mockRestore();
+        });
+
+        test('should only review hunks that changed since the previous review', async () => {
+            const edited = {
+                ...mockHunks[0],
+                filename: 'other.js',
+                changes: [{ content: '+const d = 4;', type: 'addition', lineNumber: 2 }]
+            };
+            const previous = {
+                comments: [
+                    { body: 'Earlier comment', startLine: null, line: 2, side: 'RIGHT', filename: 'test.js', hunkHeader: mockHunks[0].hunkHeader },
+                    { body: 'Fixed since', startLine: null, line: 2, side: 'RIGHT', filename: 'other.js', hunkHeader: mockHunks[0].hunkHeader }
+                ],
+                hunks: [mockHunks[0], { ...edited, changes: [{ content: '+const d = 3;', type: 'addition', lineNumber: 2 }] }]
+            };
+            parseDiff.mockReturnValue([mockHunks[0], edited]);
+            getReviewFromLLM.mockResolvedValue({ comments: [{ body: 'New comment', line: 2 }] });
+
+            const results = await reviewer.reviewChanges(mockDiffData, { generateSummary: false, previous });
+
+            expect(getReviewFromLLM).toHaveBeenCalledTimes(1);
+            expect(getReviewFromLLM).toHaveBeenCalledWith(edited, expect.any(Object));
+            expect(results.comments.map(c => [c.filename, c.body, Boolean(c.carriedForward)])).toEqual([
+                ['other.js', 'New comment', false],
+                ['test.js', 'Earlier comment', true]
+            ]);
+            expect(results.resolved.map(c => c.body)).toEqual(['Fixed since']);
+            expect(results.metadata.incremental).toEqual({ reusedHunks: 1, carriedForward: 1, resolved: 1, repeated: 0 });
+            expect(results.metadata.totalComments).toBe(2);
+        });
+
+        test('should keep an open comment on an edited hunk instead of repeating it', async () => {
+            const edited = {
+                ...mockHunks[0],
+                changes: [...mockHunks[0].changes, { content: '+const d = 4;', type: 'addition', lineNumber: 4 }]
+            };
+            const earlier = { body: 'Freeze b', startLine: null, line: 2, side: 'RIGHT', filename: 'test.js', hunkHeader: mockHunks[0].hunkHeader };
+            parseDiff.mockReturnValue([edited]);
+            getReviewFromLLM.mockResolvedValue({ comments: [{ body: 'Freeze b again', line: 2 }, { body: 'Name d', line: 4 }] });
+
+            const results = await reviewer.reviewChanges(mockDiffData, {
+                generateSummary: false,
+                previous: { comments: [earlier], hunks: mockHunks }
+            });
+
+            expect(results.comments.map(c => [c.body, Boolean(c.carriedForward)])).toEqual([
+                ['Freeze b', true],
+                ['Name d', false]
+            ]);
+            expect(results.resolved).toEqual([]);
+            expect(results.metadata.incremental).toEqual({ reusedHunks: 0, carriedForward: 1, resolved: 0, repeated: 1 });
+        });
+
+        test('should render suggestions that apply and drop the rest', async () => {
+            parseDiff.mockReturnValue(mockHunks);
+            getReviewFromLLM.mockResolvedValue({
+                comments: [
+                    { body: 'Freeze it', line: 2, side: 'RIGHT', suggestion: 'const b = Object.freeze(2);' },
+                    { body: 'Rewrite context', line: 3, side: 'RIGHT', suggestion: 'const c = 4;' }
+                ]
+            });
+
+            const results = await reviewer.reviewChanges(mockDiffData, { generateSummary: false });
+
+            expect(results.comments[0]).toMatchObject({
+                line: 2,
+                suggestion: 'const b = Object.freeze(2);',
+                suggestionBlock: '```suggestion\nconst b = Object.freeze(2);\n```'
+            });
+            expect(results.comments[0].patch).toContain('-const b = 2;\n+const b = Object.freeze(2);\n');
+            expect(results.comments[1]).toMatchObject({ line: 2, originalLine: 3, suggestion: null });
+            expect(results.comments[1]).not.toHaveProperty('patch');
+            expect(results.metadata.suggestions).toEqual({ verified: 1, dropped: 1 });
+        });
+
+        test('should report retry attempts in metadata', async () => {
+            parseDiff.mockReturnValue(mockHunks);
+            getSummaryFromLLM.mockImplementation(async (_diff, options) => {
+                options.metrics.retries += 1;
+                options.metrics.retryDelayMs += 1000;
+                return 'Summary after retry';
+            });
+            getReviewFromLLM.mockImplementation(async (_hunk, options) => {
+                options.metrics.retries += 2;
+                options.metrics.retryDelayMs += 3000;
+                return { comments: [] };
+            });
+
+            const results = await reviewer.reviewChanges(mockDiffData, { retry: { retries: 2 } });
+
+            expect(getReviewFromLLM).toHaveBeenCalledWith(mockHunks[0], expect.objectContaining({ retry: { retries: 2 } }));
+            expect(results.metadata.retries).toBe(3);
+            expect(results.metadata.retryDelayMs).toBe(4000);
+        });
+
+        test('should report a failed summary in metadata', async () => {
+            parseDiff.mockReturnValue(mockHunks);
+            getSummaryFromLLM.mockRejectedValue(new Error('LLM_API_KEY is required'));
+            getReviewFromLLM.mockResolvedValue({ comments: [] });
+
+            const results = await reviewer.reviewChanges(mockDiffData);
+
+            expect(results.summary).toBe('Summary generation failed');
+            expect(results.metadata.summaryFailed).toBe(true);
+            expect(results.metadata.failedHunks).toBe(0);
+        });
+
+        test('should report response cache hits and misses in metadata', async () => {
+            parseDiff.mockReturnValue(mockHunks);
+            getSummaryFromLLM.mockImplementation(async (_diff, options) => {
+                options.metrics.cache.misses += 1;
+                return 'Summary';
+            });
+            getReviewFromLLM.mockImplementation(async (_hunk, options) => {
+                options.metrics.cache.hits += 1;
+                return { comments: [] };
+            });
+
+            const results = await reviewer.reviewChanges(mockDiffData);
+
+            expect(results.metadata.cache).toEqual({ hits: mockHunks.length, misses: 1 });
+        });
+
         test('should throw error for invalid diff data', async () => {
             await expect(reviewer.reviewChanges(null)).rejects.toThrow('Valid diff data is required');
             await expect(reviewer.reviewChanges('')).rejects.toThrow('Valid diff data is required');
@@ -115,6 +447,36 @@ index 123..456 100644
             await expect(reviewer.reviewChanges(mockDiffData)).rejects.toThrow('Review failed: Invalid diff format');
         });
 
+        test('should pass the diff format and path prefixes to parseDiff', async () => {
+            parseDiff.mockReturnValue([]);
+
+            await reviewer.reviewChanges(mockDiffData, {
+                generateSummary: false,
+                diffFormat: 'svn',
+                srcPrefix: '',
+                dstPrefix: ''
+            });
+
+            expect(parseDiff).toHaveBeenCalledWith(mockDiffData, { format: 'svn', srcPrefix: '', dstPrefix: '' });
+        });
+
+        test('should skip binary and header-only files', async () => {
+            parseDiff.mockReturnValue([
+                ...mockHunks,
+                { filename: 'logo.png', changes: [], hunkHeader: null, file: { status: 'added', isBinary: true } },
+                { filename: 'renamed.js', changes: [], hunkHeader: null, file: { status: 'renamed', isBinary: false } }
+            ]);
+            getReviewFromLLM.mockResolvedValue({ comments: [] });
+
+            const results = await reviewer.reviewChanges(mockDiffData, { generateSummary: false });
+
+            expect(getReviewFromLLM).toHaveBeenCalledTimes(1);
+            expect(getReviewFromLLM).toHaveBeenCalledWith(mockHunks[0], expect.any(Object));
+            expect(results.hunks).toHaveLength(3);
+            expect(results.metadata.totalHunks).toBe(3);
+            expect(results.metadata.skippedHunks).toBe(2);
+        });
+
         test('should handle empty hunks', async () => {
             parseDiff.mockReturnValue([]);
             getSummaryFromLLM.mockResolvedValue('No changes detected');
@@ -146,11 +508,13 @@ index 123..456 100644
 
             const results = await reviewer.reviewHunk(mockHunk);
 
-            expect(getReviewFromLLM).toHaveBeenCalledWith(mockHunk);
+            expect(getReviewFromLLM).toHaveBeenCalledWith(mockHunk, expect.any(Object));
             expect(results).toHaveLength(1);
             expect(results[0]).toEqual({
                 body: 'Consider using a more descriptive name',
+                startLine: null,
                 line: 5,
+                side: 'RIGHT',
                 filename: 'test.js',
                 hunkHeader: { oldStart: 4, newStart: 4 }
             });
@@ -196,7 +560,7 @@ index 123..456 100644
 
             const result = await reviewer.generateSummary(mockDiffData);
 
-            expect(getSummaryFromLLM).toHaveBeenCalledWith(mockDiffData);
+            expect(getSummaryFromLLM).toHaveBeenCalledWith(mockDiffData, expect.any(Object));
             expect(result).toBe('Added new functionality for user authentication');
         });
 
@@ -210,11 +574,58 @@ index 123..456 100644
 
         test('should pass options to LLM call', async () => {
             getSummaryFromLLM.mockResolvedValue('Summary with options');
-            const options = { maxLength: 100 };
+            const options = { maxLength: 100, model: 'gpt-4o', retry: { retries: 5 } };
 
             await reviewer.generateSummary(mockDiffData, options);
 
-            expect(getSummaryFromLLM).toHaveBeenCalledWith(mockDiffData);
+            expect(getSummaryFromLLM).toHaveBeenCalledWith(mockDiffData, expect.objectContaining({
+                model: 'gpt-4o',
+                retry: { retries: 5 }
+            }));
+        });
+    });
+
+    describe('streamSummary', () => {
+        const mockDiffData = 'diff --git a/test.js b/test.js';
+
+        async function* tokens(...texts) {
+            for (const text of texts) {
+                yield text;
+            }
+        }
+
+        test('should emit chunks and resolve to the full text', async () => {
+            streamSummaryFromLLM.mockReturnValue(tokens('Added ', 'auth'));
+            const onToken = jest.fn();
+
+            const result = await reviewer.streamSummary(mockDiffData, { onToken, model: 'gpt-4o' });
+
+            expect(result).toBe('Added auth');
+            expect(onToken.mock.calls).toEqual([['Added '], ['auth']]);
+            expect(streamSummaryFromLLM).toHaveBeenCalledWith(mockDiffData, expect.objectContaining({ model: 'gpt-4o' }));
+        });
+
+        test('should handle stream errors gracefully', async () => {
+            streamSummaryFromLLM.mockImplementation(async function* () {
+                yield 'Partial';
+                throw new Error('Connection reset');
+            });
+
+            const result = await reviewer.streamSummary(mockDiffData);
+
+            expect(result).toBe('Summary generation failed');
+        });
+
+        test('should stream the summary in reviewChanges when onSummaryToken is given', async () => {
+            parseDiff.mockReturnValue([]);
+            streamSummaryFromLLM.mockReturnValue(tokens('Streamed', ' summary'));
+            const onSummaryToken = jest.fn();
+
+            const results = await reviewer.reviewChanges(mockDiffData, { onSummaryToken });
+
+            expect(results.summary).toBe('Streamed summary');
+            expect(onSummaryToken).toHaveBeenCalledTimes(2);
+            expect(getSummaryFromLLM).not.toHaveBeenCalled();
         });
     });
 
@@ -280,6 +691,52 @@ index 123..456 100644
             )).toBe(true);
         });
 
+        describe('by severity, category and confidence', () => {
+            const ratedComments = [
+                { body: 'SQL injection', filename: 'a.js', line: 1, severity: 'critical', category: 'security', confidence: 0.9 },
+                { body: 'Off by one', filename: 'a.js', line: 2, severity: 'major', category: 'correctness', confidence: 0.6 },
+                { body: 'Quadratic loop', filename: 'b.js', line: 3, severity: 'minor', category: 'performance', confidence: 0.8 },
+                { body: 'Rename variable', filename: 'b.js', line: 4, severity: 'nit', category: 'style', confidence: 0.95 }
+            ];
+
+            test('should keep comments at or above the minimum severity', () => {
+                const filtered = reviewer.filterComments(ratedComments, { minSeverity: 'major' });
+
+                expect(filtered.map(c => c.severity)).toEqual(['critical', 'major']);
+            });
+
+            test('should reject unknown severities', () => {
+                expect(() => reviewer.filterComments(ratedComments, { minSeverity: 'blocker' }))
+                    .toThrow('Unknown severity: blocker');
+            });
+
+            test('should filter by one or more categories', () => {
+                expect(reviewer.filterComments(ratedComments, { categories: 'security' })).toHaveLength(1);
+                expect(reviewer.filterComments(ratedComments, { categories: ['security', 'performance'] })
+                    .map(c => c.category)).toEqual(['security', 'performance']);
+            });
+
+            test('should keep comments at or above the minimum confidence', () => {
+                const filtered = reviewer.filterComments(ratedComments, { minConfidence: 0.8 });
+
+                expect(filtered.map(c => c.body)).toEqual(['SQL injection', 'Quadratic loop', 'Rename variable']);
+            });
+
+            test('should drop unrated comments when rating filters are set', () => {
+                expect(reviewer.filterComments(mockComments, { minSeverity: 'nit' })).toEqual([]);
+                expect(reviewer.filterComments(mockComments, { minConfidence: 0 })).toEqual([]);
+            });
+
+            test('should combine rating filters', () => {
+                const filtered = reviewer.filterComments(ratedComments, {
+                    minSeverity: 'minor',
+                    minConfidence: 0.7
+                });
+
+                expect(filtered.map(c => c.body)).toEqual(['SQL injection', 'Quadratic loop']);
+            });
+        });
+
         test('should return empty array when no comments match filters', () => {
             const filtered = reviewer.filterComments(mockComments, { minLength: 1000 });
 
@@ -329,6 +786,8 @@ index 123..456 100644
             expect(results.comments).toHaveLength(1);
             expect(results.comments[0].filename).toBe('good.js');
             expect(results.metadata.totalComments).toBe(1);
+            expect(results.metadata.failedHunks).toBe(1);
+            expect(results.metadata.summaryFailed).toBe(false);
         });
 
         test('should handle large diff with many hunks', async () => {
@@ -0,0 +1,91 @@
+const { toSarif } = require('../src/sarif');
+const { version, CATEGORIES } = require('../src');
+
+describe('sarif', () => {
+  const comment = {
+    body: 'SQL built from user input',
+    startLine: null,
+    line: 12,
+    side: 'RIGHT',
+    severity: 'critical',
+    category: 'security',
+    confidence: 0.9,
+    filename: 'src/db.js'
+  };
+
+  test('should describe the tool with its version and one rule per category', () => {
+    const log = toSarif({ comments: [] });
+
+    expect(log.version).toBe('2.1.0');
+    expect(log.$schema).toMatch(/sarif-2\.1\.0/);
+    expect(log.runs).toHaveLength(1);
+    expect(log.runs[0].tool.driver).toMatchObject({ name: 'ai-reviewer-core', version });
+    expect(log.runs[0].tool.driver.rules.map(rule => rule.id)).toEqual(CATEGORIES);
+    expect(log.runs[0].tool.driver.rules[0]).toEqual({
+      id: 'security',
+      name: 'Security',
+      shortDescription: { text: expect.any(String) }
+    });
+    expect(log.runs[0].results).toEqual([]);
+  });
+
+  test('should convert comments to results with a physical location', () => {
+    const log = toSarif({ comments: [comment] });
+
+    expect(log.runs[0].results).toEqual([{
+      ruleId: 'security',
+      ruleIndex: 0,
+      level: 'error',
+      message: { text: 'SQL built from user input' },
+      locations: [{
+        physicalLocation: {
+          artifactLocation: { uri: 'src/db.js', uriBaseId: '%SRCROOT%' },
+          region: { startLine: 12, endLine: 12 }
+        }
+      }],
+      properties: { severity: 'critical', confidence: 0.9, side: 'RIGHT', line: 12 }
+    }]);
+  });
+
+  test('should map severities to levels', () => {
+    const comments = ['critical', 'major', 'minor', 'nit', undefined].map(severity => ({ ...comment, severity }));
+
+    expect(toSarif({ comments }).runs[0].results.map(result => result.level))
+      .toEqual(['error', 'error', 'warning', 'note', 'warning']);
+  });
+
+  test('should cover multi-line ranges and encode paths', () => {
+    const log = toSarif({ comments: [{ ...comment, startLine: 8, filename: 'docs/release notes#1.md' }] });
+    const location = log.runs[0].results[0].locations[0].physicalLocation;
+
+    expect(location.artifactLocation.uri).toBe('docs/release%20notes%231.md');
+    expect(location.region).toEqual({ startLine: 8, endLine: 12 });
+  });
+
+  test('should point deleted-line and file-level comments at the file only', () => {
+    const log = toSarif({
+      comments: [
+        { ...comment, side: 'LEFT', line: 4 },
+        { ...comment, line: null, subjectType: 'file' }
+      ]
+    });
+
+    expect(log.runs[0].results.map(result => result.locations[0].physicalLocation)).toEqual([
+      { artifactLocation: { uri: 'src/db.js', uriBaseId: '%SRCROOT%' } },
+      { artifactLocation: { uri: 'src/db.js', uriBaseId: '%SRCROOT%' } }
+    ]);
+    expect(log.runs[0].results[0].properties).toMatchObject({ side: 'LEFT', line: 4 });
+  });
+
+  test('should add an uncategorized rule when needed', () => {
+    const log = toSarif({ comments: [{ body: 'Looks off', line: 3, filename: 'a.js', category: 'docs' }] });
+    const rules = log.runs[0].tool.driver.rules;
+
+    expect(rules[rules.length - 1].id).toBe('uncategorized');
+    expect(log.runs[0].results[0]).toMatchObject({ ruleId: 'uncategorized', ruleIndex: CATEGORIES.length });
+  });
+
+  test('should reject input without comments', () => {
+    expect(() => toSarif({})).toThrow('Review results with a comments array are required');
+  });
+});
@@ -0,0 +1,140 @@
+const { REVIEW_RESPONSE_SCHEMA, SEVERITIES, severityRank, validateSchema, toProviderSchema } = require('../src/llm/schema');
+
+describe('schema', () => {
+  const rating = { startLine: null, side: 'RIGHT', severity: 'major', category: 'correctness', confidence: 0.8, suggestion: null };
+
+  describe('validateSchema', () => {
+    test('should accept a valid review response', () => {
+      expect(validateSchema({ comments: [{ body: 'Check for null', line: 3, ...rating }] }, REVIEW_RESPONSE_SCHEMA)).toEqual([]);
+      expect(validateSchema({ comments: [] }, REVIEW_RESPONSE_SCHEMA)).toEqual([]);
+    });
+
+    test('should require the comments array', () => {
+      expect(validateSchema({}, REVIEW_RESPONSE_SCHEMA)).toEqual(['$.comments: is required']);
+      expect(validateSchema([], REVIEW_RESPONSE_SCHEMA)).toEqual(['$: expected object but got array']);
+    });
+
+    test('should report line and body problems with their paths', () => {
+      const errors = validateSchema({
+        comments: [
+          { body: 'Fine', line: '4', ...rating },
+          { body: '  ', line: 2.5, ...rating },
+          { line: 0, ...rating }
+        ]
+      }, REVIEW_RESPONSE_SCHEMA);
+
+      expect(errors).toEqual([
+        '$.comments[0].line: expected integer but got string',
+        '$.comments[1].body: must not be empty',
+        '$.comments[1].line: expected integer but got number',
+        '$.comments[2].body: is required',
+        '$.comments[2].line: must be at least 1'
+      ]);
+    });
+
+    test('should require a known severity, category and bounded confidence', () => {
+      const errors = validateSchema({
+        comments: [
+          { body: 'Fine', startLine: null, line: 1, side: 'RIGHT', severity: 'blocker', category: 'docs', confidence: 1.5, suggestion: null },
+          { body: 'Fine', startLine: null, line: 2, side: 'RIGHT', suggestion: null }
+        ]
+      }, REVIEW_RESPONSE_SCHEMA);
+
+      expect(errors).toEqual([
+        '$.comments[0].severity: expected one of "critical", "major", "minor", "nit"',
+        '$.comments[0].category: expected one of "security", "correctness", "performance", "style", "maintainability", "tests"',
+        '$.comments[0].confidence: must be at most 1',
+        '$.comments[1].severity: is required',
+        '$.comments[1].category: is required',
+        '$.comments[1].confidence: is required'
+      ]);
+    });
+
+    test('should accept line ranges on either side', () => {
+      const comments = [
+        { ...rating, body: 'Whole block', startLine: 3, line: 8, side: 'RIGHT' },
+        { ...rating, body: 'Removed check', startLine: null, line: 4, side: 'LEFT' }
+      ];
+
+      expect(validateSchema({ comments }, REVIEW_RESPONSE_SCHEMA)).toEqual([]);
+    });
+
+    test('should require startLine and a known side', () => {
+      const errors = validateSchema({
+        comments: [
+          { ...rating, body: 'Fine', line: 2, startLine: 0, side: 'BOTH' },
+          { body: 'Fine', line: 2, severity: 'nit', category: 'style', confidence: 1, suggestion: null }
+        ]
+      }, REVIEW_RESPONSE_SCHEMA);
+
+      expect(errors).toEqual([
+        '$.comments[0].startLine: must be at least 1',
+        '$.comments[0].side: expected one of "LEFT", "RIGHT"',
+        '$.comments[1].startLine: is required',
+        '$.comments[1].side: is required'
+      ]);
+    });
+
+    test('should accept a suggestion or null', () => {
+      const comments = [
+        { ...rating, body: 'Use const', line: 2, suggestion: 'const total = 0;' },
+        { ...rating, body: 'Bad fix', line: 3, suggestion: 42 },
+        { body: 'Missing', line: 4, startLine: null, side: 'RIGHT', severity: 'nit', category: 'style', confidence: 1 }
+      ];
+
+      expect(validateSchema({ comments }, REVIEW_RESPONSE_SCHEMA)).toEqual([
+        '$.comments[1].suggestion: expected string or null but got integer',
+        '$.comments[2].suggestion: is required'
+      ]);
+    });
+
+    test('should reject unknown properties', () => {
+      expect(validateSchema({ comments: [], extra: true }, REVIEW_RESPONSE_SCHEMA))
+        .toEqual(['$.extra: is not allowed']);
+    });
+
+    test('should support enums, maximums and nullable types', () => {
+      const schema = {
+        type: 'object',
+        properties: {
+          level: { type: 'string', enum: ['low', 'high'] },
+          score: { type: 'number', minimum: 0, maximum: 1 },
+          note: { type: ['string', 'null'] }
+        }
+      };
+
+      expect(validateSchema({ level: 'low', score: 0.5, note: null }, schema)).toEqual([]);
+      expect(validateSchema({ level: 'mid', score: 2, note: 1 }, schema)).toEqual([
+        '$.level: expected one of "low", "high"',
+        '$.score: must be at most 1',
+        '$.note: expected string or null but got integer'
+      ]);
+    });
+  });
+
+  describe('toProviderSchema', () => {
+    test('should keep types, enums and structure but drop length and range checks', () => {
+      const schema = toProviderSchema(REVIEW_RESPONSE_SCHEMA);
+      const item = schema.properties.comments.items;
+
+      expect(item.properties.body).toEqual({ type: 'string' });
+      expect(item.properties.line).toEqual({ type: 'integer' });
+      expect(item.properties.confidence).toEqual({ type: 'number' });
+      expect(item.properties.severity).toEqual({ type: 'string', enum: SEVERITIES });
+      expect(item.required).toEqual(REVIEW_RESPONSE_SCHEMA.properties.comments.items.required);
+      expect(item.additionalProperties).toBe(false);
+      expect(schema.required).toEqual(['comments']);
+      expect(REVIEW_RESPONSE_SCHEMA.properties.comments.items.properties.body.minLength).toBe(1);
+    });
+  });
+
+  describe('severityRank', () => {
+    test('should rank more severe values higher', () => {
+      const ranks = SEVERITIES.map(severityRank);
+
+      expect(ranks).toEqual([4, 3, 2, 1]);
+      expect(severityRank('unknown')).toBe(0);
+      expect(severityRank(undefined)).toBe(0);
+    });
+  });
+});
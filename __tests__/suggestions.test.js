@@ -0,0 +1,100 @@
+const { applySuggestions, verifySuggestion, renderSuggestionBlock, buildSuggestionPatch } = require('../src/suggestions');
+
+describe('suggestions', () => {
+  const hunk = {
+    filename: 'app.js',
+    changes: [
+      { content: ' const a = 1;', type: 'context', lineNumber: 10 },
+      { content: '-const b = 1;', type: 'deletion', lineNumber: 11 },
+      { content: '+const b = 2;', type: 'addition', lineNumber: 11 },
+      { content: '+const c = 3;', type: 'addition', lineNumber: 12 },
+      { content: ' const d = 4;', type: 'context', lineNumber: 13 },
+      { content: ' const e = 5;', type: 'context', lineNumber: 14 },
+      { content: '+const f = 6;', type: 'addition', lineNumber: 15 }
+    ]
+  };
+  const comment = { body: 'Merge these', startLine: 11, line: 12, side: 'RIGHT', suggestion: 'const bc = 5;' };
+
+  describe('applySuggestions', () => {
+    test('should render verified suggestions as a suggestion block and patch', () => {
+      const result = applySuggestions(hunk, [comment]);
+
+      expect(result.comments).toEqual([{
+        ...comment,
+        suggestionBlock: '```suggestion\nconst bc = 5;\n```',
+        patch: [
+          '--- a/app.js',
+          '+++ b/app.js',
+          '@@ -10,6 +10,5 @@',
+          ' const a = 1;',
+          '-const b = 2;',
+          '-const c = 3;',
+          '+const bc = 5;',
+          ' const d = 4;',
+          ' const e = 5;',
+          ' const f = 6;',
+          ''
+        ].join('\n')
+      }]);
+      expect(result.stats).toEqual({ verified: 1, dropped: 0 });
+    });
+
+    test('should null out suggestions that do not apply and keep the comment', () => {
+      const result = applySuggestions(hunk, [
+        { ...comment, startLine: 12, line: 13 },
+        { ...comment, startLine: null, line: 11, side: 'LEFT' }
+      ]);
+
+      expect(result.comments.map(c => c.suggestion)).toEqual([null, null]);
+      expect(result.comments[0]).not.toHaveProperty('patch');
+      expect(result.stats).toEqual({ verified: 0, dropped: 2 });
+    });
+
+    test('should leave comments without suggestions untouched', () => {
+      const plain = [{ body: 'Name', line: 15 }, { body: 'Fine', line: 11, suggestion: null }];
+
+      const result = applySuggestions(hunk, plain);
+
+      expect(result.comments).toEqual(plain);
+      expect(result.stats).toEqual({ verified: 0, dropped: 0 });
+    });
+  });
+
+  describe('verifySuggestion', () => {
+    test('should return the replaced lines for a single added line', () => {
+      expect(verifySuggestion(hunk, { line: 15, side: 'RIGHT', suggestion: 'let f = 6;\n' })).toEqual(['const f = 6;']);
+    });
+
+    test('should reject context lines, snapped comments and no-op suggestions', () => {
+      expect(verifySuggestion(hunk, { startLine: 12, line: 14, side: 'RIGHT', suggestion: 'x' })).toBeNull();
+      expect(verifySuggestion(hunk, { line: 12, side: 'RIGHT', originalLine: 13, suggestion: 'x' })).toBeNull();
+      expect(verifySuggestion(hunk, { line: 15, side: 'RIGHT', suggestion: 'const f = 6;' })).toBeNull();
+      expect(verifySuggestion(hunk, { line: null, subjectType: 'file', suggestion: 'x' })).toBeNull();
+    });
+
+    test('should strip every parent column from combined diff lines', () => {
+      const combined = {
+        filename: 'merge.js',
+        changes: [{ content: '++const merged = true;', type: 'addition', lineNumber: 4, parents: [{}, {}] }]
+      };
+
+      expect(verifySuggestion(combined, { line: 4, side: 'RIGHT', suggestion: 'const merged = false;' }))
+        .toEqual(['const merged = true;']);
+    });
+  });
+
+  describe('renderSuggestionBlock', () => {
+    test('should render an empty block for a deletion', () => {
+      expect(renderSuggestionBlock('')).toBe('```suggestion\n```');
+    });
+  });
+
+  describe('buildSuggestionPatch', () => {
+    test('should start an empty new side on the line before the change', () => {
+      const single = { filename: 'one.js', changes: [{ content: '+debugger;', type: 'addition', lineNumber: 1 }] };
+
+      expect(buildSuggestionPatch(single, { line: 1, suggestion: '' }, ['debugger;']))
+        .toBe('--- a/one.js\n+++ b/one.js\n@@ -1,1 +0,0 @@\n-debugger;\n');
+    });
+  });
+});
@@ -0,0 +1,123 @@
+/**
+ * Anchors review comments to lines that exist in their hunk
+ *
+ * Models sometimes return line numbers that are slightly off or not part of
+ * the hunk at all; platforms reject a whole review when one comment points
+ * outside the diff.
+ */
+
+const DEFAULT_ANCHOR_OPTIONS = {
+    maxDistance: 3,
+    unanchored: 'drop'
+};
+
+/**
+ * Find the candidate line closest to the target, preferring the earlier line on ties
+ */
+function findNearestLine(lines, target) {
+    let nearest = null;
+    for (const line of lines) {
+        if (nearest === null || Math.abs(line - target) < Math.abs(nearest - target)) {
+            nearest = line;
+        }
+    }
+    return nearest;
+}
+
+/**
+ * Lines a comment on the given side can be anchored to: added lines on the
+ * right (new file), deleted lines on the left (old file)
+ */
+function getSideLines(hunk, side) {
+    const type = side === 'LEFT' ? 'deletion' : 'addition';
+    return hunk.changes
+        .filter(change => change.type === type && Number.isInteger(change.lineNumber))
+        .map(change => change.lineNumber);
+}
+
+/**
+ * First line of the hunk on the given side, where a multi-line range may start
+ */
+function getSideStart(hunk, side) {
+    const header = hunk.hunkHeader;
+    if (header && Number.isInteger(header.oldStart) && Number.isInteger(header.newStart)) {
+        return side === 'LEFT' ? header.oldStart : header.newStart;
+    }
+    const lines = hunk.changes
+        .filter(change => (side === 'LEFT') === (change.type === 'deletion') && Number.isInteger(change.lineNumber))
+        .map(change => change.lineNumber);
+    return lines.length > 0 ? Math.min(...lines) : null;
+}
+
+/**
+ * Keep a range start only if it lies in the hunk and before the anchored line
+ */
+function getStartLine(startLine, line, sideStart) {
+    if (!Number.isInteger(startLine) || sideStart === null) {
+        return null;
+    }
+    return startLine >= sideStart && startLine < line ? startLine : null;
+}
+
+/**
+ * Check each comment's line against the lines changed on its side of the hunk
+ *
+ * Comments on the `RIGHT` side (the default) anchor to added lines and
+ * comments on the `LEFT` side to deleted lines. A `startLine` that does not
+ * lie in the hunk before the anchored line is cleared, leaving a single-line comment.
+ * @param {Object} hunk - Parsed hunk data
+ * @param {Array} comments - Comments returned by the LLM
+ * @param {Object} options - Anchoring options
+ * @param {number} options.maxDistance - Furthest a comment may be snapped to a changed line (default: 3)
+ * @param {string} options.unanchored - 'drop' or 'file' to keep unanchored comments as file-level notes
+ * @returns {Object} `comments` that can be posted and `stats` counting
+ *   anchored, snapped, demoted and dropped comments
+ */
+function anchorComments(hunk, comments, options = {}) {
+    const { maxDistance, unanchored } = { ...DEFAULT_ANCHOR_OPTIONS, ...options };
+    const sides = {
+        LEFT: { lines: getSideLines(hunk, 'LEFT'), start: getSideStart(hunk, 'LEFT') },
+        RIGHT: { lines: getSideLines(hunk, 'RIGHT'), start: getSideStart(hunk, 'RIGHT') }
+    };
+
+    const stats = { anchored: 0, snapped: 0, demoted: 0, dropped: 0 };
+    const anchored = [];
+
+    for (const comment of comments) {
+        const side = comment.side === 'LEFT' ? 'LEFT' : 'RIGHT';
+        const { lines, start } = sides[side];
+
+        if (lines.includes(comment.line)) {
+            stats.anchored++;
+            anchored.push({ ...comment, startLine: getStartLine(comment.startLine, comment.line, start), side });
+            continue;
+        }
+
+        const nearest = Number.isInteger(comment.line) ? findNearestLine(lines, comment.line) : null;
+        if (nearest !== null && Math.abs(nearest - comment.line) <= maxDistance) {
+            stats.snapped++;
+            anchored.push({
+                ...comment,
+                startLine: getStartLine(comment.startLine, nearest, start),
+                line: nearest,
+                side,
+                originalLine: comment.line
+            });
+            continue;
+        }
+
+        if (unanchored === 'file') {
+            stats.demoted++;
+            anchored.push({ ...comment, startLine: null, line: null, side, originalLine: comment.line, subjectType: 'file' });
+        } else {
+            stats.dropped++;
+        }
+    }
+
+    return { comments: anchored, stats };
+}
+
+module.exports = {
+    DEFAULT_ANCHOR_OPTIONS,
+    anchorComments
+};
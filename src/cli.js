@@ -0,0 +1,254 @@
+/**
+ * Command-line interface: reviews a diff from stdin, a file or a git range
+ *
+ * Exit codes: 0 when the review passes, 1 when `--fail-on` finds comments at
+ * or above its severity, 2 for usage and runtime errors, including hunk
+ * reviews or a summary that failed.
+ */
+
+const fs = require('fs');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const CodeReviewer = require('./reviewer');
+const { SEVERITIES, severityRank } = require('./llm/schema');
+const { toSarif } = require('./sarif');
+const { GIT_MAX_BUFFER } = require('./context');
+const version = require('./version');
+
+const EXIT_OK = 0;
+const EXIT_FINDINGS = 1;
+const EXIT_ERROR = 2;
+
+const OUTPUT_FORMATS = ['pretty', 'json', 'sarif'];
+
+const USAGE = `Usage: ai-reviewer [options] [<range>]
+
+Reviews a diff read from stdin, from --file, or produced by \`git diff <range>\`.
+
+Options:
+  -f, --file <path>        Read the diff from a file ("-" for stdin)
+  -p, --provider <name>    LLM provider (default: LLM_PROVIDER or openai)
+  -m, --model <name>       Model name (default: LLM_MODEL or the provider's model)
+      --summary            Generate a summary (default)
+      --no-summary         Skip the summary
+  -o, --format <format>    Output format: ${OUTPUT_FORMATS.join(', ')} (default: pretty)
+      --fail-on <severity> Exit with 1 if a comment is at least this severe
+                           (${SEVERITIES.join(', ')})
+  -h, --help               Show this help
+  -v, --version            Show the version
+
+Examples:
+  git diff --cached | ai-reviewer
+  ai-reviewer origin/main...HEAD --fail-on major
+  ai-reviewer --file changes.patch --format sarif > review.sarif`;
+
+// Flags that take a value, by every spelling
+const VALUE_FLAGS = {
+    '-f': 'file',
+    '--file': 'file',
+    '-p': 'provider',
+    '--provider': 'provider',
+    '-m': 'model',
+    '--model': 'model',
+    '-o': 'format',
+    '--format': 'format',
+    '--fail-on': 'failOn'
+};
+
+/**
+ * Parse command-line arguments
+ * @param {Array<string>} argv - Arguments after the executable and script
+ * @returns {Object} Parsed options
+ */
+function parseArgs(argv) {
+    const args = { summary: true, format: 'pretty', help: false, version: false, range: null };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const [flag, inlineValue] = arg.startsWith('--') && arg.includes('=')
+            ? [arg.slice(0, arg.indexOf('=')), arg.slice(arg.indexOf('=') + 1)]
+            : [arg, undefined];
+
+        if (VALUE_FLAGS[flag]) {
+            const value = inlineValue !== undefined ? inlineValue : argv[++i];
+            if (value === undefined) {
+                throw new Error(`Missing value for ${flag}`);
+            }
+            args[VALUE_FLAGS[flag]] = value;
+        } else if (flag === '--summary' || flag === '--no-summary') {
+            args.summary = flag === '--summary';
+        } else if (flag === '-h' || flag === '--help') {
+            args.help = true;
+        } else if (flag === '-v' || flag === '--version') {
+            args.version = true;
+        } else if (arg.startsWith('-')) {
+            throw new Error(`Unknown option: ${arg}`);
+        } else if (args.range === null) {
+            args.range = arg;
+        } else {
+            throw new Error(`Unexpected argument: ${arg}`);
+        }
+    }
+
+    if (!OUTPUT_FORMATS.includes(args.format)) {
+        throw new Error(`Unknown format: ${args.format}`);
+    }
+    if (args.failOn !== undefined && !SEVERITIES.includes(args.failOn)) {
+        throw new Error(`Unknown severity: ${args.failOn}`);
+    }
+    if (args.file !== undefined && args.range !== null) {
+        throw new Error('Use either --file or a git range, not both');
+    }
+    return args;
+}
+
+/**
+ * Read a stream to the end as UTF-8 text
+ */
+async function readStream(stream) {
+    const chunks = [];
+    for await (const chunk of stream) {
+        chunks.push(typeof chunk === 'string' ? Buffer.from(chunk) : chunk);
+    }
+    return Buffer.concat(chunks).toString('utf8');
+}
+
+/**
+ * Get the diff to review from a git range, a file or stdin
+ */
+async function readDiff(args, io) {
+    if (args.range !== null) {
+        const { stdout } = await promisify(execFile)(
+            'git',
+            ['diff', '--no-color', '--no-ext-diff', args.range],
+            { cwd: io.cwd, maxBuffer: GIT_MAX_BUFFER }
+        );
+        return stdout;
+    }
+    if (args.file !== undefined && args.file !== '-') {
+        return fs.promises.readFile(args.file, 'utf8');
+    }
+    if (args.file === undefined && io.stdin.isTTY) {
+        throw new Error('No diff given: pipe one to stdin, pass --file or a git range');
+    }
+    return readStream(io.stdin);
+}
+
+/**
+ * Format review results for a terminal
+ * @param {Object} results - Result of `CodeReviewer.reviewChanges`
+ * @returns {string} Human-readable report
+ */
+function formatPretty(results) {
+    const lines = [];
+    if (results.summary) {
+        lines.push('Summary', '', results.summary, '');
+    }
+
+    for (const comment of results.comments) {
+        const location = Number.isInteger(comment.line)
+            ? `${comment.filename}:${Number.isInteger(comment.startLine) ? `${comment.startLine}-` : ''}${comment.line}`
+            : comment.filename;
+        const labels = [comment.severity, comment.category].filter(Boolean).join(', ');
+        lines.push(`${location}${comment.side === 'LEFT' ? ' (deleted)' : ''}${labels ? ` [${labels}]` : ''}`);
+        lines.push(...comment.body.split('\n').map(text => `  ${text}`));
+        if (comment.suggestionBlock) {
+            lines.push(...comment.suggestionBlock.split('\n').map(text => `  ${text}`));
+        }
+        lines.push('');
+    }
+
+    const count = results.comments.length;
+    lines.push(`${count} comment${count === 1 ? '' : 's'} on ${results.metadata.totalHunks} hunk${results.metadata.totalHunks === 1 ? '' : 's'}`);
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Serialize review results in the requested output format
+ */
+function formatResults(results, format) {
+    if (format === 'json') {
+        return JSON.stringify(results, null, 2) + '\n';
+    }
+    if (format === 'sarif') {
+        return JSON.stringify(toSarif(results), null, 2) + '\n';
+    }
+    return formatPretty(results);
+}
+
+/**
+ * Whether any comment reaches the `--fail-on` severity
+ */
+function hasFindings(comments, failOn) {
+    return comments.some(comment => severityRank(comment.severity) >= severityRank(failOn));
+}
+
+/**
+ * Describe the parts of a review that failed, so a broken config or an
+ * outage does not pass as a clean review
+ * @returns {string|null} Error message, or null when everything was reviewed
+ */
+function describeFailures(metadata) {
+    const failures = [];
+    if (metadata.failedHunks > 0) {
+        failures.push(`${metadata.failedHunks} hunk${metadata.failedHunks === 1 ? '' : 's'} could not be reviewed`);
+    }
+    if (metadata.summaryFailed) {
+        failures.push('the summary could not be generated');
+    }
+    return failures.length > 0 ? `review incomplete: ${failures.join(', ')}` : null;
+}
+
+/**
+ * Run the CLI
+ * @param {Array<string>} argv - Arguments after the executable and script
+ * @param {Object} io - `stdin`, `stdout`, `stderr` and `cwd`, defaulting to the current process
+ * @returns {Promise<number>} Exit code
+ */
+async function run(argv, io = {}) {
+    const { stdin = process.stdin, stdout = process.stdout, stderr = process.stderr, cwd = process.cwd() } = io;
+
+    let args;
+    try {
+        args = parseArgs(argv);
+    } catch (error) {
+        stderr.write(`${error.message}\n\n${USAGE}\n`);
+        return EXIT_ERROR;
+    }
+    if (args.help) {
+        stdout.write(`${USAGE}\n`);
+        return EXIT_OK;
+    }
+    if (args.version) {
+        stdout.write(`${version}\n`);
+        return EXIT_OK;
+    }
+
+    try {
+        const diffData = await readDiff(args, { stdin, cwd });
+        const reviewer = new CodeReviewer({ provider: args.provider, model: args.model });
+        // An empty diff still gets results, so JSON and SARIF output stay well-formed
+        const results = diffData.trim()
+            ? await reviewer.reviewChanges(diffData, { generateSummary: args.summary })
+            : CodeReviewer.createResults();
+
+        stdout.write(formatResults(results, args.format));
+
+        const failure = describeFailures(results.metadata);
+        if (failure) {
+            stderr.write(`ai-reviewer: ${failure}\n`);
+            return EXIT_ERROR;
+        }
+        return args.failOn && hasFindings(results.comments, args.failOn) ? EXIT_FINDINGS : EXIT_OK;
+    } catch (error) {
+        stderr.write(`ai-reviewer: ${error.message}\n`);
+        return EXIT_ERROR;
+    }
+}
+
+module.exports = {
+    run,
+    parseArgs,
+    formatPretty,
+    USAGE
+};
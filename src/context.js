@@ -0,0 +1,130 @@
+/**
+ * File context for hunk reviews
+ *
+ * Reviewing a hunk on its own leads to false positives about symbols declared
+ * just outside it. A context provider returns the full text of a file after the
+ * change; the lines around each hunk (or the whole file when it is small) are
+ * added to the review prompt within a token budget.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+
+const DEFAULT_FILE_CONTEXT = {
+    lines: 20,
+    maxTokens: 2000
+};
+
+// Large files and diffs of large ranges easily exceed execFile's 1 MB default
+const GIT_MAX_BUFFER = 64 * 1024 * 1024;
+
+// How `git show <ref>:<path>` reports a path missing from the ref
+const GIT_MISSING_PATH = /fatal: path '.*' (?:does not exist in|exists on disk, but not in) '/;
+
+/**
+ * Create a context provider that reads files from a local git checkout, or
+ * from a commit with `git show <ref>:<path>` when `ref` is given
+ * @param {Object} options - `cwd` (repository root, default: current directory) and `ref`
+ * @returns {Function} Context provider returning the file's text, or null when it does not exist
+ */
+function createGitContextProvider(options = {}) {
+    const root = path.resolve(options.cwd || process.cwd());
+
+    return async ({ path: filename }) => {
+        if (options.ref) {
+            try {
+                const { stdout } = await promisify(execFile)(
+                    'git',
+                    ['show', `${options.ref}:${filename}`],
+                    { cwd: root, maxBuffer: GIT_MAX_BUFFER }
+                );
+                return stdout;
+            } catch (error) {
+                if (GIT_MISSING_PATH.test(error.stderr || '')) {
+                    return null;
+                }
+                throw error;
+            }
+        }
+
+        // Paths come from the diff; never read outside the checkout
+        const file = path.resolve(root, filename);
+        const relative = path.relative(root, file);
+        if (!relative || relative.startsWith('..') || path.isAbsolute(relative)) {
+            return null;
+        }
+        try {
+            return await fs.promises.readFile(file, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return null;
+            }
+            throw error;
+        }
+    };
+}
+
+/**
+ * First and last new-file line covered by a hunk
+ */
+function getNewRange(hunk) {
+    const header = hunk.hunkHeader;
+    if (header && Number.isInteger(header.newStart) && Number.isInteger(header.newLines)) {
+        return { start: header.newStart, end: header.newStart + Math.max(header.newLines, 1) - 1 };
+    }
+
+    const lines = hunk.changes
+        .filter(change => change.type !== 'deletion' && Number.isInteger(change.lineNumber))
+        .map(change => change.lineNumber);
+    return lines.length > 0 ? { start: Math.min(...lines), end: Math.max(...lines) } : null;
+}
+
+function numberLines(lines, start) {
+    return lines.map((text, index) => `${start + index}: ${text}`).join('\n');
+}
+
+/**
+ * Select the file lines to show alongside a hunk
+ *
+ * The whole file is used when it fits the budget; otherwise the hunk's lines
+ * with up to `lines` lines on each side, halving the margin until it fits.
+ * @param {Object} hunk - Parsed hunk data
+ * @param {string} content - Text of the file after the change
+ * @param {Object} options - `lines` and `maxTokens`, see DEFAULT_FILE_CONTEXT
+ * @param {Function} estimate - Token estimate for a string
+ * @returns {Object|null} `startLine`, `endLine`, `wholeFile` and numbered `text`, or null if nothing fits
+ */
+function selectContext(hunk, content, options, estimate) {
+    const { lines: margin, maxTokens } = { ...DEFAULT_FILE_CONTEXT, ...options };
+    const fileLines = content.replace(/\r?\n$/, '').split(/\r?\n/);
+
+    const whole = numberLines(fileLines, 1);
+    if (estimate(whole) <= maxTokens) {
+        return { startLine: 1, endLine: fileLines.length, wholeFile: true, text: whole };
+    }
+
+    const range = getNewRange(hunk);
+    if (!range) {
+        return null;
+    }
+    for (let around = Math.max(0, Math.floor(margin)); ; around = Math.floor(around / 2)) {
+        const startLine = Math.max(1, range.start - around);
+        const endLine = Math.min(fileLines.length, range.end + around);
+        const text = numberLines(fileLines.slice(startLine - 1, endLine), startLine);
+        if (estimate(text) <= maxTokens) {
+            return { startLine, endLine, wholeFile: false, text };
+        }
+        if (around === 0) {
+            return null;
+        }
+    }
+}
+
+module.exports = {
+    DEFAULT_FILE_CONTEXT,
+    GIT_MAX_BUFFER,
+    createGitContextProvider,
+    selectContext
+};
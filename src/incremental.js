@@ -0,0 +1,245 @@
+/**
+ * Incremental re-review against a previous review
+ *
+ * Hunks are fingerprinted by file and content, not position, so a hunk that
+ * only moved because of edits elsewhere in the file is recognised. Unchanged
+ * hunks are not reviewed again; their earlier comments are carried forward
+ * with shifted line numbers. Earlier comments on hunks that changed are kept
+ * while the line they were anchored to is still in the diff, found by its
+ * content; the rest look resolved.
+ */
+
+const crypto = require('crypto');
+const { verifySuggestion, buildSuggestionPatch } = require('./suggestions');
+
+const STATE_VERSION = 1;
+
+/**
+ * Fingerprint a hunk's file and lines, independent of where it starts
+ * @param {Object} hunk - Parsed hunk data
+ * @returns {string} Hex digest
+ */
+function fingerprintHunk(hunk) {
+    const hash = crypto.createHash('sha256');
+    hash.update(`${hunk.filename}\n`);
+    for (const change of hunk.changes) {
+        hash.update(`${change.content}\n`);
+    }
+    return hash.digest('hex');
+}
+
+function isSameHunk(header, other) {
+    return Boolean(header && other) && header.oldStart === other.oldStart && header.newStart === other.newStart;
+}
+
+// Comments on the LEFT side anchor to deleted lines, on the RIGHT side to added lines
+function getChangeType(side) {
+    return side === 'LEFT' ? 'deletion' : 'addition';
+}
+
+/**
+ * Content of the changed line a comment is anchored to, without its diff marker
+ * @returns {string|null} Line content, or null for file-level comments
+ */
+function getAnchorContent(hunk, comment) {
+    const type = getChangeType(comment.side);
+    const change = Number.isInteger(comment.line)
+        ? hunk.changes.find(candidate => candidate.type === type && candidate.lineNumber === comment.line)
+        : null;
+    return change ? change.content.slice(1) : null;
+}
+
+/**
+ * Create a snapshot of a review for the next incremental review
+ *
+ * The snapshot is plain JSON and much smaller than the result: it keeps each
+ * reviewed hunk's fingerprint, position and comments, with the content of the
+ * line each comment is anchored to in `anchors`.
+ * @param {Object} results - Result of `CodeReviewer.reviewChanges`
+ * @returns {Object} Review state
+ */
+function createReviewState(results) {
+    if (!results || !Array.isArray(results.hunks) || !Array.isArray(results.comments)) {
+        throw new Error('Review results with hunks and comments are required');
+    }
+
+    const hunks = results.hunks
+        .filter(hunk => hunk.changes.length > 0 && hunk.hunkHeader)
+        .map(hunk => {
+            const comments = results.comments.filter(comment =>
+                comment.filename === hunk.filename && isSameHunk(comment.hunkHeader, hunk.hunkHeader));
+            return {
+                filename: hunk.filename,
+                fingerprint: fingerprintHunk(hunk),
+                oldStart: hunk.hunkHeader.oldStart,
+                newStart: hunk.hunkHeader.newStart,
+                comments,
+                anchors: comments.map(comment => getAnchorContent(hunk, comment))
+            };
+        });
+
+    return { version: STATE_VERSION, reviewedAt: results.metadata && results.metadata.reviewedAt, hunks };
+}
+
+/**
+ * Accept either a review result or a state snapshot
+ */
+function toReviewState(previous) {
+    if (previous && previous.version === STATE_VERSION && Array.isArray(previous.hunks)) {
+        return previous;
+    }
+    if (previous && Array.isArray(previous.hunks) && Array.isArray(previous.comments)) {
+        return createReviewState(previous);
+    }
+    throw new Error('Previous review must be a review result or a review state');
+}
+
+/**
+ * Move a comment onto a current hunk, shifting its lines by the offset
+ */
+function carryComment(comment, offset, hunk) {
+    const shift = line => (Number.isInteger(line) ? line + offset : line);
+
+    // A range that would start before the hunk shrinks to the anchored line
+    const sideStart = comment.side === 'LEFT' ? hunk.hunkHeader.oldStart : hunk.hunkHeader.newStart;
+    const startLine = shift(comment.startLine);
+
+    const carried = {
+        ...comment,
+        startLine: Number.isInteger(startLine) && startLine < sideStart ? null : startLine,
+        line: shift(comment.line),
+        hunkHeader: hunk.hunkHeader,
+        carriedForward: true
+    };
+    if (comment.originalLine !== undefined) {
+        carried.originalLine = shift(comment.originalLine);
+    }
+
+    // Patches name line numbers, so rebuild them for the new position
+    if (carried.patch) {
+        const original = verifySuggestion(hunk, carried);
+        if (original) {
+            carried.patch = buildSuggestionPatch(hunk, carried, original);
+        } else {
+            delete carried.patch;
+            delete carried.suggestionBlock;
+            carried.suggestion = null;
+        }
+    }
+    return carried;
+}
+
+/**
+ * Find where a comment on a changed hunk belongs in the current diff
+ *
+ * The comment follows its anchored line by content, to the occurrence nearest
+ * its old position; file-level comments stay while their file is reviewed.
+ * @returns {Object|null} The carried comment, or null when its line is gone
+ */
+function relocateComment(comment, anchor, hunks) {
+    const candidates = hunks.filter(hunk => hunk.filename === comment.filename && hunk.hunkHeader);
+    if (!Number.isInteger(comment.line)) {
+        return candidates.length > 0 ? { ...comment, hunkHeader: candidates[0].hunkHeader, carriedForward: true } : null;
+    }
+    if (typeof anchor !== 'string') {
+        return null;
+    }
+
+    const type = getChangeType(comment.side);
+    let best = null;
+    for (const hunk of candidates) {
+        for (const change of hunk.changes) {
+            if (change.type !== type || !Number.isInteger(change.lineNumber) || change.content.slice(1) !== anchor) {
+                continue;
+            }
+            if (!best || Math.abs(change.lineNumber - comment.line) < Math.abs(best.line - comment.line)) {
+                best = { hunk, line: change.lineNumber };
+            }
+        }
+    }
+    return best ? carryComment(comment, best.line - comment.line, best.hunk) : null;
+}
+
+/**
+ * Drop freshly generated comments that repeat a carried comment on the same
+ * line, so a thread that is still open is not posted a second time
+ * @param {Array} comments - Comments from this review
+ * @param {Array} carried - Comments carried forward from the previous review
+ * @returns {Object} Remaining `comments` and the number of `repeated` comments dropped
+ */
+function dropRepeatedComments(comments, carried) {
+    const key = comment => `${comment.filename}\0${comment.side || 'RIGHT'}\0${comment.line}`;
+    const open = new Set(carried.filter(comment => Number.isInteger(comment.line)).map(key));
+    const remaining = comments.filter(comment => !Number.isInteger(comment.line) || !open.has(key(comment)));
+    return { comments: remaining, repeated: comments.length - remaining.length };
+}
+
+/**
+ * Decide which hunks need a review, given a previous review
+ * @param {Array} hunks - Reviewable hunks of the current diff
+ * @param {Object} [previous] - Previous review result or state
+ * @returns {Object} `hunks` to review, `carried` comments, `resolved` comments and `stats`
+ *   counting `reusedHunks`, `carriedForward` and `resolved`
+ */
+function planIncrementalReview(hunks, previous) {
+    if (!previous) {
+        return { hunks, carried: [], resolved: [], stats: { reusedHunks: 0, carriedForward: 0, resolved: 0 } };
+    }
+
+    const state = toReviewState(previous);
+    const unmatched = new Map();
+    for (const previousHunk of state.hunks) {
+        const matches = unmatched.get(previousHunk.fingerprint) || [];
+        matches.push(previousHunk);
+        unmatched.set(previousHunk.fingerprint, matches);
+    }
+
+    const toReview = [];
+    const carried = [];
+    let reusedHunks = 0;
+    for (const hunk of hunks) {
+        const matches = hunk.hunkHeader ? unmatched.get(fingerprintHunk(hunk)) : null;
+        if (!matches || matches.length === 0) {
+            toReview.push(hunk);
+            continue;
+        }
+        const previousHunk = matches.shift();
+        reusedHunks++;
+        carried.push(...previousHunk.comments.map(comment => carryComment(
+            comment,
+            comment.side === 'LEFT'
+                ? hunk.hunkHeader.oldStart - previousHunk.oldStart
+                : hunk.hunkHeader.newStart - previousHunk.newStart,
+            hunk
+        )));
+    }
+
+    // Comments on hunks that changed stay while their line is still there;
+    // the rest, and comments on hunks that left the diff, look resolved
+    const resolved = [];
+    for (const previousHunk of [...unmatched.values()].flat()) {
+        previousHunk.comments.forEach((comment, index) => {
+            const kept = relocateComment(comment, previousHunk.anchors && previousHunk.anchors[index], toReview);
+            if (kept) {
+                carried.push(kept);
+            } else {
+                resolved.push(comment);
+            }
+        });
+    }
+
+    return {
+        hunks: toReview,
+        carried,
+        resolved,
+        stats: { reusedHunks, carriedForward: carried.length, resolved: resolved.length }
+    };
+}
+
+module.exports = {
+    STATE_VERSION,
+    fingerprintHunk,
+    createReviewState,
+    planIncrementalReview,
+    dropRepeatedComments
+};
@@ -6,25 +6,66 @@
 
 const CodeReviewer = require('./reviewer');
 const parseDiff = require('./parseDiff');
-const { getReviewFromLLM, getSummaryFromLLM } = require('./llm');
-const LLMCoordinator = require('./llm/index');
+const { getReviewFromLLM, getSummaryFromLLM, streamSummaryFromLLM, LLMCoordinator, registerProvider, listProviders } = require('./llm');
+const BaseProvider = require('./llm/providers/base');
 const OpenAIProvider = require('./llm/providers/openai');
+const AnthropicProvider = require('./llm/providers/anthropic');
+const OllamaProvider = require('./llm/providers/ollama');
+const AzureOpenAIProvider = require('./llm/providers/azure');
+const { REVIEW_RESPONSE_SCHEMA, SEVERITIES, CATEGORIES, SIDES, validateSchema } = require('./llm/schema');
+const { toSarif } = require('./sarif');
+const { createGitContextProvider } = require('./context');
+const { createReviewState } = require('./incremental');
+const { ResponseCache, MemoryCacheStore, FileCacheStore } = require('./llm/cache');
+const {
+    buildGitHubReviews,
+    buildGitLabDiscussions,
+    buildBitbucketCloudComments,
+    buildBitbucketServerComments
+} = require('./platforms');
+const version = require('./version');
 
 module.exports = {
     // Main classes
     CodeReviewer,
     LLMCoordinator,
+    BaseProvider,
     OpenAIProvider,
+    AnthropicProvider,
+    OllamaProvider,
+    AzureOpenAIProvider,
+    ResponseCache,
+    MemoryCacheStore,
+    FileCacheStore,
   
     // Utility functions
     parseDiff,
     getReviewFromLLM,
     getSummaryFromLLM,
+    streamSummaryFromLLM,
+    registerProvider,
+    listProviders,
+    validateSchema,
+    toSarif,
+    createGitContextProvider,
+    createReviewState,
+
+    // Platform payload builders
+    buildGitHubReviews,
+    buildGitLabDiscussions,
+    buildBitbucketCloudComments,
+    buildBitbucketServerComments,
+
+    // Schemas
+    REVIEW_RESPONSE_SCHEMA,
+    SEVERITIES,
+    CATEGORIES,
+    SIDES,
   
     // Factory functions
-    createReviewer: () => new CodeReviewer(),
-    createLLMCoordinator: () => new LLMCoordinator(),
+    createReviewer: (config) => new CodeReviewer(config),
+    createLLMCoordinator: (config) => new LLMCoordinator(config),
   
     // Version info
-    version: require('../package.json').version
+    version
 };
@@ -0,0 +1,221 @@
+/**
+ * Content-addressed cache for LLM responses
+ *
+ * Responses are keyed by a hash of the provider, endpoint and request body
+ * (model, prompt and sampling options), so re-running a review on the same
+ * commit does not pay for identical calls again.
+ *
+ * Stores implement `get(key)`, `set(key, entry)` and `delete(key)`, sync or
+ * async; `get` resolves to undefined for a missing key. Entries are plain
+ * objects that survive JSON serialisation.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_CACHE_OPTIONS = {
+    ttl: 24 * 60 * 60 * 1000,
+    maxEntries: 1000
+};
+
+/**
+ * In-process store that evicts the least recently used entry when full
+ */
+class MemoryCacheStore {
+    /**
+     * @param {Object} options - `maxEntries` (default: 1000)
+     */
+    constructor(options = {}) {
+        this.maxEntries = options.maxEntries || DEFAULT_CACHE_OPTIONS.maxEntries;
+        this.entries = new Map();
+    }
+
+    get(key) {
+        const entry = this.entries.get(key);
+        if (entry !== undefined) {
+            // Map keeps insertion order; re-inserting marks the entry as recently used
+            this.entries.delete(key);
+            this.entries.set(key, entry);
+        }
+        return entry;
+    }
+
+    set(key, entry) {
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        while (this.entries.size > this.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+    }
+
+    delete(key) {
+        this.entries.delete(key);
+    }
+}
+
+/**
+ * Store keeping one JSON file per entry in a directory, shared between runs
+ * and processes; the least recently used files are removed when full
+ */
+class FileCacheStore {
+    /**
+     * @param {Object} options - `directory` (required) and `maxEntries` (default: 1000)
+     */
+    constructor(options = {}) {
+        if (!options.directory) {
+            throw new Error('FileCacheStore requires a directory');
+        }
+        this.directory = options.directory;
+        this.maxEntries = options.maxEntries || DEFAULT_CACHE_OPTIONS.maxEntries;
+    }
+
+    getPath(key) {
+        return path.join(this.directory, `${key}.json`);
+    }
+
+    async get(key) {
+        const file = this.getPath(key);
+        let text;
+        try {
+            text = await fs.promises.readFile(file, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return undefined;
+            }
+            throw error;
+        }
+
+        const now = new Date();
+        await fs.promises.utimes(file, now, now).catch(() => {});
+        try {
+            return JSON.parse(text);
+        } catch (error) {
+            // A corrupt file is a miss
+            return undefined;
+        }
+    }
+
+    async set(key, entry) {
+        await fs.promises.mkdir(this.directory, { recursive: true });
+
+        // Write then rename so concurrent readers never see a partial file
+        const file = this.getPath(key);
+        const temp = `${file}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+        await fs.promises.writeFile(temp, JSON.stringify(entry));
+        await fs.promises.rename(temp, file);
+
+        await this.evict();
+    }
+
+    async delete(key) {
+        await fs.promises.rm(this.getPath(key), { force: true });
+    }
+
+    /**
+     * Remove the least recently used files beyond `maxEntries`
+     */
+    async evict() {
+        const names = (await fs.promises.readdir(this.directory)).filter(name => name.endsWith('.json'));
+        if (names.length <= this.maxEntries) {
+            return;
+        }
+
+        const files = await Promise.all(names.map(async name => {
+            const file = path.join(this.directory, name);
+            const stats = await fs.promises.stat(file).catch(() => null);
+            return { file, mtime: stats ? stats.mtimeMs : 0 };
+        }));
+        files.sort((a, b) => a.mtime - b.mtime);
+        await Promise.all(files.slice(0, files.length - this.maxEntries).map(({ file }) => fs.promises.rm(file, { force: true })));
+    }
+}
+
+/**
+ * Response cache with expiry over a pluggable store
+ */
+class ResponseCache {
+    /**
+     * @param {Object} options - `store` (default: a MemoryCacheStore), `directory` (use a
+     *   FileCacheStore there), `ttl` in ms (default: 24 hours; 0 or Infinity never expires)
+     *   and `maxEntries` for the built-in stores (default: 1000)
+     */
+    constructor(options = {}) {
+        const { maxEntries } = options;
+        this.ttl = options.ttl === undefined ? DEFAULT_CACHE_OPTIONS.ttl : options.ttl;
+        this.store = options.store || (options.directory
+            ? new FileCacheStore({ directory: options.directory, maxEntries })
+            : new MemoryCacheStore({ maxEntries }));
+    }
+
+    /**
+     * Hash the parts of a request that determine its response
+     * @param {Object} request - `provider`, `url` and request `body`
+     * @returns {string} Hex digest
+     */
+    static createKey(request) {
+        return crypto.createHash('sha256').update(stableStringify(request)).digest('hex');
+    }
+
+    /**
+     * @returns {Promise<*>} Cached value, or undefined when missing or expired
+     */
+    async get(key) {
+        const entry = await this.store.get(key);
+        if (!entry) {
+            return undefined;
+        }
+        if (this.ttl && this.ttl !== Infinity && Date.now() - entry.createdAt > this.ttl) {
+            await this.store.delete(key);
+            return undefined;
+        }
+        return entry.value;
+    }
+
+    async set(key, value) {
+        await this.store.set(key, { value, createdAt: Date.now() });
+    }
+
+    async delete(key) {
+        await this.store.delete(key);
+    }
+}
+
+/**
+ * JSON with object keys sorted, so equal requests hash the same
+ */
+function stableStringify(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(stableStringify).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort()
+            .filter(key => value[key] !== undefined)
+            .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+            .join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+/**
+ * Create a response cache from coordinator config
+ * @param {boolean|Object|ResponseCache} config - `true` for an in-memory cache, cache options, or a cache
+ * @returns {ResponseCache|null} The cache, or null when caching is off
+ */
+function createResponseCache(config) {
+    if (!config) {
+        return null;
+    }
+    if (config instanceof ResponseCache) {
+        return config;
+    }
+    return new ResponseCache(config === true ? {} : config);
+}
+
+module.exports = {
+    DEFAULT_CACHE_OPTIONS,
+    MemoryCacheStore,
+    FileCacheStore,
+    ResponseCache,
+    createResponseCache
+};
@@ -0,0 +1,115 @@
+/**
+ * Token-aware splitting of diffs for summarisation
+ */
+
+// Lines starting a file in git, hg and `diff -r` (diff ...), svn (Index:) and p4 (==== ...) diffs
+const FILE_START = /^(?:diff |Index: |==== .+#\d+)/;
+
+/**
+ * Split text into sections, starting a new section at each line matching the pattern
+ */
+function splitSections(lines, pattern) {
+    const sections = [];
+    let current = [];
+
+    for (const line of lines) {
+        if (pattern.test(line) && current.length > 0) {
+            sections.push(current);
+            current = [];
+        }
+        current.push(line);
+    }
+
+    if (current.length > 0) {
+        sections.push(current);
+    }
+    return sections;
+}
+
+/**
+ * Break a file's diff into pieces that fit the budget, repeating the file
+ * header on every piece so each one stays readable on its own
+ *
+ * Piece sizes are kept as a running sum of per-line estimates, so a hunk of
+ * many thousand lines is not re-estimated as a whole for every line.
+ */
+function splitFile(lines, budget, estimate) {
+    const firstHunk = lines.findIndex(line => line.startsWith('@@'));
+    const header = firstHunk > 0 ? lines.slice(0, firstHunk) : [];
+    const body = firstHunk > 0 ? lines.slice(firstHunk) : lines;
+    const headerTokens = header.length > 0 ? estimate(`${header.join('\n')}\n`) : 0;
+    const pieces = [];
+
+    for (const hunk of splitSections(body, /^@@/)) {
+        // A single hunk over budget is cut at line boundaries
+        let current = [...header];
+        let tokens = headerTokens;
+        for (const line of hunk) {
+            const lineTokens = estimate(`${line}\n`);
+            if (current.length > header.length && tokens + lineTokens > budget) {
+                pieces.push(current.join('\n'));
+                current = [...header];
+                tokens = headerTokens;
+            }
+            current.push(line);
+            tokens += lineTokens;
+        }
+        pieces.push(current.join('\n'));
+    }
+
+    return pieces;
+}
+
+/**
+ * Pack text pieces into as few chunks as fit the budget, keeping their order
+ */
+function packPieces(pieces, budget, estimate, separator = '\n') {
+    const chunks = [];
+    let current = null;
+
+    for (const piece of pieces) {
+        const candidate = current === null ? piece : `${current}${separator}${piece}`;
+        if (current !== null && estimate(candidate) > budget) {
+            chunks.push(current);
+            current = piece;
+        } else {
+            current = candidate;
+        }
+    }
+
+    if (current !== null) {
+        chunks.push(current);
+    }
+    return chunks;
+}
+
+/**
+ * Split a diff into chunks that each fit within a token budget
+ *
+ * Files are kept whole where possible; files over budget are split by hunk,
+ * and hunks over budget by line.
+ * @param {string} diffData - Git diff content
+ * @param {number} budget - Maximum tokens per chunk
+ * @param {Function} estimate - Returns the token estimate for a text
+ * @returns {Array<string>} Diff chunks in their original order
+ */
+function splitDiff(diffData, budget, estimate) {
+    const files = splitSections(diffData.split('\n'), FILE_START);
+    const pieces = [];
+
+    for (const file of files) {
+        const text = file.join('\n');
+        if (estimate(text) <= budget) {
+            pieces.push(text);
+        } else {
+            pieces.push(...splitFile(file, budget, estimate));
+        }
+    }
+
+    return packPieces(pieces, budget, estimate);
+}
+
+module.exports = {
+    splitDiff,
+    packPieces
+};
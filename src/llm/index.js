@@ -4,52 +4,356 @@
 
 const axios = require('axios');
 const OpenAIProvider = require('./providers/openai');
+const AnthropicProvider = require('./providers/anthropic');
+const OllamaProvider = require('./providers/ollama');
+const AzureOpenAIProvider = require('./providers/azure');
+const { withRetry } = require('./retry');
+const { splitDiff, packPieces } = require('./chunking');
+const { readStreamEvents } = require('./streaming');
+const { ResponseCache, createResponseCache } = require('./cache');
+const { REVIEW_RESPONSE_SCHEMA, SEVERITIES, CATEGORIES, validateSchema, toProviderSchema } = require('./schema');
+const { selectContext } = require('../context');
+
+const DEFAULT_PROVIDER = 'openai';
+
+const SUMMARY_SYSTEM_PROMPT = 'You are an AI assistant that summarizes incremental code changes in pull requests. Focus on what\'s new or modified since the last review.';
+
+const DEFAULT_SETTINGS = {
+    temperature: 0.1,
+    reviewMaxTokens: 1000,
+    summaryMaxTokens: 1500
+};
+
+// Separates partial summaries when they are merged
+const SUMMARY_SEPARATOR = '\n\n---\n\n';
+
+// Registered providers by name (classes or ready-made instances)
+const providers = new Map();
+
+// Methods the coordinator calls on every provider; BaseProvider implements them all
+const PROVIDER_METHODS = [
+    'getEndpoint',
+    'requiresApiKey',
+    'supports',
+    'estimateTokens',
+    'getContextWindow',
+    'formatRequest',
+    'parseResponse',
+    'getHeaders',
+    'getErrorMessage'
+];
+
+/**
+ * Register a provider under a name
+ * @param {string} name - Name used to select the provider
+ * @param {Function|Object} provider - Provider class or instance
+ */
+function registerProvider(name, provider) {
+    if (!name || typeof name !== 'string') {
+        throw new Error('Provider name must be a non-empty string');
+    }
+    if (!provider || (typeof provider !== 'function' && typeof provider !== 'object')) {
+        throw new Error(`Provider ${name} must be a class or an instance`);
+    }
+
+    const shape = typeof provider === 'function' ? provider.prototype : provider;
+    const missing = PROVIDER_METHODS.filter(method => typeof shape?.[method] !== 'function');
+    if (missing.length > 0) {
+        throw new Error(`Provider ${name} is missing ${missing.join(', ')}; providers should extend BaseProvider`);
+    }
+    providers.set(name, provider);
+}
+
+/**
+ * Copy an object without its undefined values, so they do not override defaults
+ */
+function definedOnly(values = {}) {
+    return Object.fromEntries(Object.entries(values).filter(([, value]) => value !== undefined));
+}
+
+/**
+ * List the names of all registered providers
+ * @returns {Array<string>} Provider names
+ */
+function listProviders() {
+    return [...providers.keys()];
+}
+
+registerProvider(DEFAULT_PROVIDER, OpenAIProvider);
+registerProvider('anthropic', AnthropicProvider);
+registerProvider('ollama', OllamaProvider);
+registerProvider('azure', AzureOpenAIProvider);
 
 class LLMCoordinator {
-    constructor() {
-        this.provider = new OpenAIProvider();
+    /**
+     * Settings not given here fall back to the LLM_* environment variables,
+     * read at call time.
+     * @param {Object} config - Coordinator configuration
+     * @param {string|Object} config.provider - Provider name or instance (LLM_PROVIDER, then openai)
+     * @param {string} config.endpoint - API endpoint (LLM_ENDPOINT, then the provider default)
+     * @param {string} config.apiKey - API key (LLM_API_KEY)
+     * @param {string} config.model - Model name (LLM_MODEL, then the provider default)
+     * @param {number} config.temperature - Sampling temperature (default: 0.1)
+     * @param {number} config.reviewMaxTokens - Token limit for hunk reviews (default: 1000)
+     * @param {number} config.summaryMaxTokens - Token limit for summaries (default: 1500)
+     * @param {number} config.contextWindow - Override the model's context window in tokens
+     * @param {Object|boolean} config.retry - Retry policy overrides, or false to disable retries
+     * @param {Object|boolean} config.cache - Response cache: `true` for in memory, options for
+     *   ResponseCache (`store`, `directory`, `ttl`, `maxEntries`) or a ResponseCache to share
+     */
+    constructor(config = {}) {
+        const { provider, cache, ...settings } = config;
+        this.provider = typeof provider === 'object' ? provider : null;
+        this.providerName = typeof provider === 'string' ? provider : null;
+        this.config = definedOnly(settings);
+        this.cache = createResponseCache(cache);
+        this.instances = new Map();
+    }
+
+    static registerProvider(name, provider) {
+        registerProvider(name, provider);
+    }
+
+    static listProviders() {
+        return listProviders();
     }
 
     /**
-     * Get the OpenAI provider instance
+     * Get a provider instance by name, or the one configured for this coordinator
+     * @param {string} name - Registered provider name (optional)
      */
-    getProvider() {
-        return this.provider;
+    getProvider(name) {
+        if (!name && this.provider) {
+            return this.provider;
+        }
+
+        const providerName = name || this.providerName || process.env.LLM_PROVIDER || DEFAULT_PROVIDER;
+        if (!this.instances.has(providerName)) {
+            const entry = providers.get(providerName);
+            if (!entry) {
+                throw new Error(`Unknown LLM provider: ${providerName} (registered: ${listProviders().join(', ')})`);
+            }
+            this.instances.set(providerName, typeof entry === 'function' ? new entry() : entry);
+        }
+
+        return this.instances.get(providerName);
     }
 
     /**
-     * Make a request to the OpenAI API
+     * Resolve settings for a call: call options, then coordinator config,
+     * then environment variables, then defaults
+     * @param {Object} options - Per-call options
+     * @returns {Object} Resolved settings
      */
-    async makeRequest(endpoint, apiKey, messages, options = {}) {
-        if (!endpoint) {
+    getSettings(options = {}) {
+        const settings = {
+            ...DEFAULT_SETTINGS,
+            ...this.config,
+            ...definedOnly(options)
+        };
+
+        settings.endpoint = settings.endpoint || process.env.LLM_ENDPOINT;
+        settings.apiKey = settings.apiKey || process.env.LLM_API_KEY;
+        settings.model = settings.model || process.env.LLM_MODEL;
+        return settings;
+    }
+
+    /**
+     * Resolve the provider and endpoint for a request and check its credentials
+     */
+    prepareRequest(endpoint, apiKey, options) {
+        const provider = this.getProvider(options.provider);
+        const url = provider.getEndpoint(endpoint, options);
+
+        if (!url) {
             throw new Error('LLM_ENDPOINT is required');
         }
-        if (!apiKey) {
+        if (!apiKey && provider.requiresApiKey(url)) {
             throw new Error('LLM_API_KEY is required');
         }
 
-        const provider = this.getProvider();
-        
+        return { provider, url };
+    }
+
+    /**
+     * POST to the provider, retrying retryable failures under `options.retry`
+     * (merged over the coordinator's policy) and counting retries on `options.metrics`
+     */
+    async post(provider, url, body, config, options) {
+        const retryPolicy = options.retry === false || this.config.retry === false
+            ? false
+            : { ...this.config.retry, ...options.retry };
+
+        return await withRetry(
+            () => axios.post(url, body, config),
+            retryPolicy,
+            ({ attempt, delay, status, error }) => {
+                console.warn(`Retrying ${provider.name} request after ${status || error.code} (retry ${attempt}) in ${delay}ms`);
+                if (options.metrics) {
+                    options.metrics.retries = (options.metrics.retries || 0) + 1;
+                    options.metrics.retryDelayMs = (options.metrics.retryDelayMs || 0) + delay;
+                }
+            }
+        );
+    }
+
+    /**
+     * Wrap a failed request in an error naming the provider
+     */
+    toRequestError(provider, error) {
+        if (error.response) {
+            return new Error(`LLM API Error (${provider.name}): ${error.response.status} - ${provider.getErrorMessage(error.response.data) || error.message}`);
+        }
+        return new Error(`LLM Request Failed (${provider.name}): ${error.message}`);
+    }
+
+    /**
+     * Cache key for a request, or null when caching is off. Streamed and
+     * regular requests share keys.
+     */
+    getCacheKey(provider, url, messages, options) {
+        if (!this.cache) {
+            return null;
+        }
+        const body = provider.formatRequest(messages, { ...options, stream: false });
+        return ResponseCache.createKey({ provider: provider.name, url, body });
+    }
+
+    /**
+     * Look up a cached response, counting hits and misses on `options.metrics`;
+     * a failing store only costs the cache
+     */
+    async readCache(key, options) {
+        if (!key) {
+            return undefined;
+        }
+
+        let value;
         try {
+            value = await this.cache.get(key);
+        } catch (error) {
+            console.warn('Response cache read failed:', error.message);
+        }
+        if (options.metrics) {
+            const cache = options.metrics.cache || (options.metrics.cache = { hits: 0, misses: 0 });
+            cache[value === undefined ? 'misses' : 'hits']++;
+        }
+        return value;
+    }
+
+    async writeCache(key, value) {
+        if (!key) {
+            return;
+        }
+        try {
+            await this.cache.set(key, value);
+        } catch (error) {
+            console.warn('Response cache write failed:', error.message);
+        }
+    }
+
+    /**
+     * Remove a request's response from the cache
+     */
+    async forgetResponse(endpoint, apiKey, messages, options) {
+        if (!this.cache) {
+            return;
+        }
+        const { provider, url } = this.prepareRequest(endpoint, apiKey, options);
+        try {
+            await this.cache.delete(this.getCacheKey(provider, url, messages, options));
+        } catch (error) {
+            console.warn('Response cache delete failed:', error.message);
+        }
+    }
+
+    /**
+     * Make a request to the selected provider's API
+     */
+    async makeRequest(endpoint, apiKey, messages, options = {}) {
+        const { provider, url } = this.prepareRequest(endpoint, apiKey, options);
+
+        try {
+            const cacheKey = this.getCacheKey(provider, url, messages, options);
+            const cached = await this.readCache(cacheKey, options);
+            if (cached !== undefined) {
+                return cached;
+            }
+
             const requestBody = provider.formatRequest(messages, options);
             const headers = provider.getHeaders(apiKey);
 
-            const response = await axios.post(endpoint, requestBody, { headers });
+            const response = await this.post(provider, url, requestBody, { headers }, options);
             const content = provider.parseResponse(response.data);
-            
+
+            await this.writeCache(cacheKey, content);
             return content;
         } catch (error) {
-            if (error.response) {
-                throw new Error(`LLM API Error (${provider.name}): ${error.response.status} - ${error.response.data?.error?.message || error.message}`);
+            throw this.toRequestError(provider, error);
+        }
+    }
+
+    /**
+     * Stream a response from the selected provider's API
+     *
+     * Providers without streaming support yield their whole response at once.
+     * @returns {AsyncGenerator<string>} Text chunks as they arrive
+     */
+    async *streamRequest(endpoint, apiKey, messages, options = {}) {
+        const { provider, url } = this.prepareRequest(endpoint, apiKey, options);
+
+        if (!provider.supports('streaming')) {
+            yield await this.makeRequest(endpoint, apiKey, messages, options);
+            return;
+        }
+
+        const cacheKey = this.getCacheKey(provider, url, messages, options);
+        const cached = await this.readCache(cacheKey, options);
+        if (cached !== undefined) {
+            yield cached;
+            return;
+        }
+
+        let response;
+        try {
+            const requestBody = provider.formatRequest(messages, { ...options, stream: true });
+            const headers = provider.getHeaders(apiKey);
+
+            response = await this.post(provider, url, requestBody, { headers, responseType: 'stream' }, options);
+        } catch (error) {
+            throw this.toRequestError(provider, error);
+        }
+
+        // Only a stream that was read to the end is cached
+        let text = '';
+        for await (const event of readStreamEvents(response.data, provider.streamFormat)) {
+            const chunk = provider.parseStreamChunk(event);
+            if (chunk?.text) {
+                text += chunk.text;
+                yield chunk.text;
+            }
+            if (chunk?.done) {
+                break;
             }
-            throw new Error(`LLM Request Failed (${provider.name}): ${error.message}`);
         }
+        await this.writeCache(cacheKey, text);
     }
 
     /**
      * Get review from LLM
      */
-    async getReview(hunk) {
+    async getReview(hunk, options = {}) {
+        const settings = this.getSettings(options);
+        const requestOptions = {
+            ...settings,
+            maxTokens: settings.maxTokens || settings.reviewMaxTokens
+        };
+        const provider = this.getProvider(requestOptions.provider);
+
+        const fileContext = options.fileContent
+            ? selectContext(hunk, options.fileContent, options.fileContext, text => provider.estimateTokens(text, requestOptions.model))
+            : null;
+
         const messages = [
             { 
                 role: 'system', 
@@ -57,68 +361,261 @@ class LLMCoordinator {
             },
             { 
                 role: 'user', 
-                content: this.buildReviewPrompt(hunk)
+                content: this.buildReviewPrompt(hunk, fileContext)
             }
         ];
 
-        const options = {
-            maxTokens: 1000,
-            temperature: 0.1
-        };
+        if (provider.supports('jsonSchema')) {
+            requestOptions.responseSchema = { name: 'review_response', schema: toProviderSchema(REVIEW_RESPONSE_SCHEMA) };
+        }
 
         const content = await this.makeRequest(
-            process.env.LLM_ENDPOINT, 
-            process.env.LLM_API_KEY, 
+            settings.endpoint, 
+            settings.apiKey, 
             messages, 
-            options
+            requestOptions
         );
 
-        return this.parseReviewResponse(content);
+        try {
+            return this.parseReviewResponse(content);
+        } catch (error) {
+            // Invalid responses must not be served from the cache on the next run
+            await this.forgetResponse(settings.endpoint, settings.apiKey, messages, requestOptions);
+
+            // Give the model one chance to repair its response before giving up
+            if (options.metrics) {
+                options.metrics.repairs = (options.metrics.repairs || 0) + 1;
+            }
+
+            const repairMessages = [
+                ...messages,
+                { role: 'assistant', content },
+                { role: 'user', content: this.buildRepairPrompt(error.message) }
+            ];
+            const repaired = await this.makeRequest(
+                settings.endpoint, 
+                settings.apiKey, 
+                repairMessages, 
+                requestOptions
+            );
+
+            try {
+                return this.parseReviewResponse(repaired);
+            } catch (repairError) {
+                await this.forgetResponse(settings.endpoint, settings.apiKey, repairMessages, requestOptions);
+                throw repairError;
+            }
+        }
     }
 
     /**
      * Get summary from LLM
+     *
+     * Diffs that exceed the model's context budget are split by file and hunk,
+     * summarised in chunks and merged into one summary.
      */
-    async getSummary(diffData) {
-        const messages = [
+    async getSummary(diffData, options = {}) {
+        const { prompt, requestOptions, chunks } = await this.prepareSummary(diffData, options);
+
+        const messages = this.buildSummaryMessages(prompt);
+        const summary = await this.makeRequest(requestOptions.endpoint, requestOptions.apiKey, messages, requestOptions);
+
+        return chunks > 1 ? summary + this.buildChunkNote(chunks) : summary;
+    }
+
+    /**
+     * Stream summary from LLM
+     *
+     * Streaming counterpart to getSummary. For chunked diffs the partial
+     * summaries are generated first and only the final merge is streamed.
+     * @returns {AsyncGenerator<string>} Text chunks; the generator returns the full summary
+     */
+    async *streamSummary(diffData, options = {}) {
+        const { prompt, requestOptions, chunks } = await this.prepareSummary(diffData, options);
+
+        const messages = this.buildSummaryMessages(prompt);
+        let summary = '';
+        for await (const text of this.streamRequest(requestOptions.endpoint, requestOptions.apiKey, messages, requestOptions)) {
+            summary += text;
+            yield text;
+        }
+
+        if (chunks > 1) {
+            const note = this.buildChunkNote(chunks);
+            summary += note;
+            yield note;
+        }
+
+        return summary;
+    }
+
+    /**
+     * Build the final summary prompt, summarising chunks first when the diff
+     * does not fit the context budget
+     * @returns {Object} `prompt`, resolved `requestOptions` and number of `chunks`
+     */
+    async prepareSummary(diffData, options) {
+        const settings = this.getSettings(options);
+        const requestOptions = {
+            ...settings,
+            maxTokens: settings.maxTokens || settings.summaryMaxTokens
+        };
+
+        const provider = this.getProvider(requestOptions.provider);
+        const estimate = text => provider.estimateTokens(text, requestOptions.model);
+        const budget = this.getSummaryBudget(provider, requestOptions);
+        if (budget <= 0) {
+            throw new Error(`Context window of ${provider.name} is too small for a summary of ${requestOptions.maxTokens} tokens`);
+        }
+
+        const chunks = estimate(diffData) <= budget ? [diffData] : splitDiff(diffData, budget, estimate);
+        if (chunks.length === 1) {
+            return { prompt: this.buildSummaryPrompt(chunks[0]), requestOptions, chunks: 1 };
+        }
+
+        let summaries = [];
+        for (const [index, chunk] of chunks.entries()) {
+            summaries.push(await this.requestSummary(this.buildChunkSummaryPrompt(chunk, index, chunks.length), requestOptions));
+        }
+
+        if (options.metrics) {
+            options.metrics.summaryChunks = chunks.length;
+        }
+
+        // Merge partial summaries, in several rounds if they do not fit one prompt
+        for (;;) {
+            let groups = packPieces(summaries, budget, estimate, SUMMARY_SEPARATOR);
+            if (groups.length === summaries.length) {
+                groups = [summaries.join(SUMMARY_SEPARATOR)];
+            }
+            if (groups.length === 1) {
+                return { prompt: this.buildMergeSummaryPrompt(groups[0]), requestOptions, chunks: chunks.length };
+            }
+
+            summaries = [];
+            for (const group of groups) {
+                summaries.push(await this.requestSummary(this.buildMergeSummaryPrompt(group), requestOptions));
+            }
+        }
+    }
+
+    /**
+     * Send a summary prompt to the LLM
+     */
+    async requestSummary(prompt, requestOptions) {
+        return await this.makeRequest(
+            requestOptions.endpoint, 
+            requestOptions.apiKey, 
+            this.buildSummaryMessages(prompt), 
+            requestOptions
+        );
+    }
+
+    /**
+     * Build summary chat messages around a prompt
+     */
+    buildSummaryMessages(prompt) {
+        return [
             { 
                 role: 'system', 
-                content: 'You are an AI assistant that summarizes incremental code changes in pull requests. Focus on what\'s new or modified since the last review.' 
+                content: SUMMARY_SYSTEM_PROMPT
             },
             { 
                 role: 'user', 
-                content: this.buildSummaryPrompt(diffData)
+                content: prompt
             }
         ];
+    }
 
-        const options = {
-            maxTokens: 1500,
-            temperature: 0.1
-        };
+    /**
+     * Note appended to summaries that were merged from chunks
+     */
+    buildChunkNote(chunks) {
+        return `\n\n_Summary merged from ${chunks} chunks because the diff exceeded the model's context window._`;
+    }
 
-        return await this.makeRequest(
-            process.env.LLM_ENDPOINT, 
-            process.env.LLM_API_KEY, 
-            messages, 
-            options
-        );
+    /**
+     * Tokens available for diff content in a summary prompt
+     */
+    getSummaryBudget(provider, requestOptions) {
+        const contextWindow = requestOptions.contextWindow || provider.getContextWindow(requestOptions.model);
+        const overhead = provider.estimateTokens(SUMMARY_SYSTEM_PROMPT + this.buildSummaryPrompt(''), requestOptions.model);
+
+        // Token estimates are approximate, so keep a safety margin
+        return Math.floor((contextWindow - requestOptions.maxTokens - overhead) * 0.9);
+    }
+
+    /**
+     * Describe what happened to a hunk's file when it is more than an edit
+     * @returns {string} A sentence for the review prompt, or an empty string
+     */
+    describeFile(file) {
+        if (!file) {
+            return '';
+        }
+        if (file.isCombined) {
+            return 'This is a combined diff of a merge commit. Each change lists its type and line number relative to every parent in `parents`; '
+                + 'lines that are new relative to all parents are where the merge resolved conflicts.';
+        }
+        switch (file.status) {
+        case 'added':
+            return 'This is a new file.';
+        case 'deleted':
+            return 'This file was deleted.';
+        case 'renamed':
+            return `This file was renamed from ${file.oldPath} to ${file.newPath}.`;
+        case 'copied':
+            return `This file was copied from ${file.oldPath} to ${file.newPath}.`;
+        default:
+            return '';
+        }
+    }
+
+    /**
+     * Describe the file lines shown alongside a hunk
+     */
+    buildFileContext(fileContext) {
+        if (!fileContext) {
+            return '';
+        }
+        const scope = fileContext.wholeFile
+            ? 'The whole file after the change'
+            : `Lines ${fileContext.startLine}-${fileContext.endLine} of the file after the change`;
+        return `${scope}, numbered, for reference only. Use it to see declarations and usages outside the hunk,
+                        but comment only on lines in the changes array:
+                        ${fileContext.text}
+`;
     }
 
     /**
      * Build review prompt
+     * @param {Object} hunk - Parsed hunk data
+     * @param {Object|null} fileContext - Surrounding file lines, see selectContext
      */
-    buildReviewPrompt(hunk) {
+    buildReviewPrompt(hunk, fileContext = null) {
         return `Below data is in JSON format and was constructed from Git diff data consisting of GNU hunks for a particular file.
                         The changes array contains objects with:
                         - content: the line content
                         - type: 'addition', 'deletion', or 'context'
-                        - lineNumber: the actual line number in the new file
+                        - lineNumber: the line number in the new file, or in the old file for deletions
+                        ${this.describeFile(hunk.file)}
                         
                         ${JSON.stringify(hunk)} 
 
+                        ${this.buildFileContext(fileContext)}
+
                         Review the code changes and provide review comments. For each comment:
-                        - Only comment on added or modified lines (type: 'addition')
-                        - Use the exact lineNumber provided in the changes array
+                        - Comment on added lines with side "RIGHT", or on deleted lines with side "LEFT" when the concern is about removed code
+                        - Set line to the exact lineNumber provided in the changes array
+                        - For a comment about a block of lines, set startLine to the lineNumber of its first line
+                          (on the same side, before line); otherwise set startLine to null
+                        - Set severity to one of: ${SEVERITIES.join(', ')}
+                          (critical: security holes, data loss or crashes; major: bugs and incorrect behaviour;
+                          minor: issues worth fixing that do not break anything; nit: style and naming preferences)
+                        - Set category to one of: ${CATEGORIES.join(', ')}
+                        - Set confidence between 0 and 1 for how sure you are that the issue is real
+                        - To propose a fix for added lines (side "RIGHT"), set suggestion to the full replacement text for
+                          lines startLine (or line) through line, without diff markers; otherwise set suggestion to null
                         - If you have no concerns, return an empty comments array
                         
                         Output Format: Return ONLY a JSON object (no markdown, no code blocks) with this structure:
@@ -126,7 +623,13 @@ class LLMCoordinator {
                           "comments": [
                             {
                               "body": "Comment body here",
-                              "line": <exact_line_number>
+                              "startLine": <first_line_number_or_null>,
+                              "line": <exact_line_number>,
+                              "side": "RIGHT" or "LEFT",
+                              "severity": "<severity>",
+                              "category": "<category>",
+                              "confidence": <number between 0 and 1>,
+                              "suggestion": "<replacement_code_or_null>"
                             }
                           ] 
                         }`;
@@ -147,18 +650,63 @@ class LLMCoordinator {
     }
 
     /**
-     * Parse review response and handle JSON
+     * Build prompt summarising one chunk of a large diff
+     */
+    buildChunkSummaryPrompt(chunk, index, total) {
+        return `The changes in this pull request are too large to review at once. This is part ${index + 1} of ${total}.
+                        Summarize the changes in this part concisely; the partial summaries will be merged afterwards.
+                        - Highlight any new additions or modifications
+                        - Note any concerns
+
+                        Changes:
+                        ${chunk}`;
+    }
+
+    /**
+     * Build prompt merging partial summaries into one
+     */
+    buildMergeSummaryPrompt(summaries) {
+        return `Below are summaries of consecutive parts of the same pull request, separated by ---.
+                        Combine them into a single concise summary:
+                        - Focus on what has changed since the last review
+                        - Highlight any new additions or modifications
+                        - Note any resolved or new concerns
+                        - Keep the summary professional and constructive
+
+                        Partial summaries:
+                        ${summaries}`;
+    }
+
+    /**
+     * Build prompt asking the model to fix an invalid review response
+     */
+    buildRepairPrompt(errorMessage) {
+        return `Your previous response could not be used: ${errorMessage}
+                        Return the corrected review as ONLY a JSON object (no markdown, no code blocks) matching this JSON schema:
+                        ${JSON.stringify(REVIEW_RESPONSE_SCHEMA)}`;
+    }
+
+    /**
+     * Parse review response and validate it against the review schema
      */
     parseReviewResponse(content) {
         // Clean up any markdown formatting that might be present
         const cleanedContent = content.replace(/```json\n?|\n?```/g, '').trim();
         
+        let review;
         try {
-            return JSON.parse(cleanedContent);
+            review = JSON.parse(cleanedContent);
         } catch (error) {
             console.error('Failed to parse LLM response:', cleanedContent);
-            throw new Error('Invalid JSON response from LLM');
+            throw new Error(`Invalid JSON response from LLM: ${error.message}`);
         }
+
+        const errors = validateSchema(review, REVIEW_RESPONSE_SCHEMA);
+        if (errors.length > 0) {
+            throw new Error(`Review response does not match schema: ${errors.join('; ')}`);
+        }
+
+        return review;
     }
 }
 
@@ -166,8 +714,12 @@ class LLMCoordinator {
 const coordinator = new LLMCoordinator();
 
 module.exports = {
-    getReviewFromLLM: (hunk) => coordinator.getReview(hunk),
-    getSummaryFromLLM: (diffData) => coordinator.getSummary(diffData),
+    getReviewFromLLM: (hunk, options) => coordinator.getReview(hunk, options),
+    getSummaryFromLLM: (diffData, options) => coordinator.getSummary(diffData, options),
+    streamSummaryFromLLM: (diffData, options) => coordinator.streamSummary(diffData, options),
+    LLMCoordinator,
+    registerProvider,
+    listProviders,
     // Export for testing
     __test__: {
         LLMCoordinator,
@@ -0,0 +1,124 @@
+/**
+ * Anthropic Messages API provider for LLM requests
+ */
+
+const BaseProvider = require('./base');
+
+const ANTHROPIC_VERSION = '2023-06-01';
+
+class AnthropicProvider extends BaseProvider {
+    constructor() {
+        super({
+            name: 'anthropic',
+            defaults: {
+                endpoint: 'https://api.anthropic.com/v1/messages',
+                model: 'claude-3-5-haiku-latest'
+            },
+            auth: { type: 'header', header: 'x-api-key' },
+            features: { jsonMode: false, streaming: true, tools: true },
+            tokens: {
+                charsPerToken: 3.5,
+                contextWindow: 200000
+            }
+        });
+    }
+
+    /**
+     * Format request for the Messages API
+     *
+     * System messages are lifted into the top-level `system` field since the
+     * API only accepts user and assistant turns in `messages`.
+     */
+    formatRequest(messages, options = {}) {
+        this.validateMessages(messages);
+
+        const system = messages
+            .filter(msg => msg.role === 'system')
+            .map(msg => msg.content)
+            .join('\n\n');
+        const conversation = messages
+            .filter(msg => msg.role !== 'system')
+            .map(msg => ({ role: msg.role, content: msg.content }));
+
+        if (conversation.length === 0) {
+            throw new Error('Messages must include at least one user message');
+        }
+
+        const body = {
+            model: options.model || this.defaults.model,
+            messages: conversation,
+            max_tokens: options.maxTokens || 1000,
+            temperature: options.temperature ?? 0.1
+        };
+
+        if (system) {
+            body.system = system;
+        }
+        if (options.stream) {
+            body.stream = true;
+        }
+
+        return body;
+    }
+
+    /**
+     * Parse Messages API response
+     */
+    parseResponse(responseData) {
+        // Validate response structure
+        if (!Array.isArray(responseData?.content)) {
+            throw new Error('Invalid Anthropic response format');
+        }
+
+        // Check if response was truncated
+        if (responseData.stop_reason === 'max_tokens') {
+            console.warn('Anthropic response was truncated due to token limit');
+        }
+
+        const content = responseData.content
+            .filter(block => block.type === 'text')
+            .map(block => block.text)
+            .join('');
+        if (!content || content.trim().length === 0) {
+            throw new Error('Empty response from Anthropic');
+        }
+
+        return content;
+    }
+
+    /**
+     * Parse a Messages API stream event
+     */
+    parseStreamChunk(event) {
+        const data = JSON.parse(event.data);
+
+        switch (data.type) {
+        case 'content_block_delta':
+            return { text: data.delta?.type === 'text_delta' ? data.delta.text : '', done: false };
+        case 'message_delta':
+            if (data.delta?.stop_reason === 'max_tokens') {
+                console.warn('Anthropic response was truncated due to token limit');
+            }
+            return null;
+        case 'message_stop':
+            return { text: '', done: true };
+        case 'error':
+            throw new Error(`Anthropic stream error: ${data.error?.message || 'unknown error'}`);
+        default:
+            return null;
+        }
+    }
+
+    /**
+     * Get headers for the Messages API
+     */
+    getHeaders(apiKey) {
+        return {
+            ...super.getHeaders(apiKey),
+            'anthropic-version': ANTHROPIC_VERSION
+        };
+    }
+
+}
+
+module.exports = AnthropicProvider;
@@ -0,0 +1,109 @@
+/**
+ * Azure OpenAI provider for LLM requests
+ */
+
+const OpenAIProvider = require('./openai');
+
+// First GA version with structured outputs (response_format json_schema)
+const DEFAULT_API_VERSION = '2024-10-21';
+
+/**
+ * List the content filter categories that were triggered
+ */
+function filteredCategories(filterResults = {}) {
+    return Object.keys(filterResults).filter(category => filterResults[category]?.filtered);
+}
+
+function describeContentFilter(target, filterResults) {
+    const categories = filteredCategories(filterResults);
+    const detail = categories.length > 0 ? ` (categories: ${categories.join(', ')})` : '';
+    return `Azure OpenAI content filter rejected the ${target}${detail}`;
+}
+
+class AzureOpenAIProvider extends OpenAIProvider {
+    /**
+     * @param {Object} config - Azure settings, each falling back to its environment variable
+     * @param {string} config.resource - Resource name (AZURE_OPENAI_RESOURCE)
+     * @param {string} config.deployment - Deployment name (AZURE_OPENAI_DEPLOYMENT)
+     * @param {string} config.apiVersion - API version (AZURE_OPENAI_API_VERSION)
+     */
+    constructor(config = {}) {
+        super();
+        this.name = 'azure';
+        this.defaults = { endpoint: null, model: null };
+        this.auth = { type: 'header', header: 'api-key' };
+        this.resource = config.resource || process.env.AZURE_OPENAI_RESOURCE;
+        this.deployment = config.deployment || process.env.AZURE_OPENAI_DEPLOYMENT;
+        this.apiVersion = config.apiVersion || process.env.AZURE_OPENAI_API_VERSION || DEFAULT_API_VERSION;
+    }
+
+    /**
+     * Build the deployment URL from resource, deployment and API version
+     *
+     * An explicit endpoint may be the resource base URL or a full deployment
+     * URL; the api-version query parameter is added when missing.
+     */
+    getEndpoint(endpoint, options = {}) {
+        let base = endpoint || (this.resource ? `https://${this.resource}.openai.azure.com` : null);
+        if (!base) {
+            return null;
+        }
+
+        if (!base.includes('/deployments/')) {
+            const deployment = options.deployment || this.deployment || options.model;
+            if (!deployment) {
+                throw new Error('Azure OpenAI deployment is required');
+            }
+            base = `${base.replace(/\/+$/, '')}/openai/deployments/${encodeURIComponent(deployment)}/chat/completions`;
+        }
+
+        const url = new URL(base);
+        if (!url.searchParams.has('api-version')) {
+            url.searchParams.set('api-version', options.apiVersion || this.apiVersion);
+        }
+        return url.toString();
+    }
+
+    /**
+     * Azure always authenticates with the api-key header
+     */
+    requiresApiKey() {
+        return true;
+    }
+
+    /**
+     * Format request for Azure OpenAI; the deployment in the URL selects the model
+     */
+    formatRequest(messages, options = {}) {
+        const body = super.formatRequest(messages, options);
+        delete body.model;
+        return body;
+    }
+
+    /**
+     * Parse Azure OpenAI response, turning filtered completions into errors
+     */
+    parseResponse(responseData) {
+        const choice = responseData?.choices?.[0];
+        if (choice?.finish_reason === 'content_filter') {
+            throw new Error(describeContentFilter('response', choice.content_filter_results));
+        }
+
+        return super.parseResponse(responseData);
+    }
+
+    /**
+     * Describe content filter rejections of the prompt
+     */
+    getErrorMessage(responseData) {
+        const error = responseData?.error;
+        if (error?.code === 'content_filter' || error?.innererror?.code === 'ResponsibleAIPolicyViolation') {
+            return describeContentFilter('prompt', error.innererror?.content_filter_result);
+        }
+
+        return super.getErrorMessage(responseData);
+    }
+
+}
+
+module.exports = AzureOpenAIProvider;
@@ -0,0 +1,130 @@
+/**
+ * Base class for LLM providers
+ *
+ * A provider describes its own endpoint defaults, auth scheme and supported
+ * features, and translates between the coordinator's chat messages and the
+ * wire format of its API.
+ */
+
+class BaseProvider {
+    /**
+     * @param {Object} descriptor - Provider descriptor
+     * @param {string} descriptor.name - Registry name of the provider
+     * @param {Object} descriptor.defaults - Default `endpoint` and `model`
+     * @param {Object} descriptor.auth - Auth scheme: `type` ('bearer', 'header' or 'none') and `header`
+     * @param {Object} descriptor.features - Supported features (`jsonMode`, `jsonSchema`, `streaming`, `tools`)
+     * @param {Object} descriptor.tokens - Token estimation: default `charsPerToken` and `contextWindow`,
+     *   and per-model `charsPerTokenByModel` as [pattern, ratio] and `contextWindows` as [pattern, tokens] pairs
+     * @param {string} descriptor.streamFormat - Format of streamed responses ('sse' or 'ndjson')
+     */
+    constructor({ name, defaults = {}, auth = {}, features = {}, tokens = {}, streamFormat = 'sse' } = {}) {
+        this.name = name;
+        this.defaults = { endpoint: null, model: null, ...defaults };
+        this.auth = { type: 'bearer', header: 'Authorization', ...auth };
+        this.features = { jsonMode: false, jsonSchema: false, streaming: false, tools: false, ...features };
+        this.tokens = { charsPerToken: 4, charsPerTokenByModel: [], contextWindow: 8192, contextWindows: [], ...tokens };
+        this.streamFormat = streamFormat;
+    }
+
+    /**
+     * Check whether the provider supports a feature
+     */
+    supports(feature) {
+        return Boolean(this.features[feature]);
+    }
+
+    /**
+     * Resolve the endpoint to call, falling back to the provider default
+     */
+    getEndpoint(endpoint, _options = {}) {
+        return endpoint || this.defaults.endpoint;
+    }
+
+    /**
+     * Estimate the number of tokens a text takes for the given model
+     */
+    estimateTokens(text, model) {
+        const name = model || this.defaults.model || '';
+        const match = this.tokens.charsPerTokenByModel.find(([pattern]) => pattern.test(name));
+        return Math.ceil(String(text || '').length / (match ? match[1] : this.tokens.charsPerToken));
+    }
+
+    /**
+     * Get the context window of a model, in tokens
+     */
+    getContextWindow(model) {
+        const name = model || this.defaults.model || '';
+        const match = this.tokens.contextWindows.find(([pattern]) => pattern.test(name));
+        return match ? match[1] : this.tokens.contextWindow;
+    }
+
+    /**
+     * Whether requests to the given endpoint need an API key
+     */
+    requiresApiKey(_endpoint) {
+        return this.auth.type !== 'none';
+    }
+
+    /**
+     * Validate chat messages before formatting them
+     */
+    validateMessages(messages) {
+        if (!Array.isArray(messages) || messages.length === 0) {
+            throw new Error('Messages must be a non-empty array');
+        }
+
+        for (const msg of messages) {
+            if (!msg.role || !msg.content) {
+                throw new Error('Each message must have role and content');
+            }
+        }
+    }
+
+    /**
+     * Format request body for the provider API
+     */
+    formatRequest(_messages, _options = {}) {
+        throw new Error(`Provider ${this.name} does not implement formatRequest`);
+    }
+
+    /**
+     * Parse the provider response into message content
+     */
+    parseResponse(_responseData) {
+        throw new Error(`Provider ${this.name} does not implement parseResponse`);
+    }
+
+    /**
+     * Parse one event of a streamed response, the streaming counterpart to parseResponse
+     * @param {Object} event - Stream event with `event` name and raw `data` string
+     * @returns {Object|null} `{ text, done }`, or null for events without content
+     */
+    parseStreamChunk(_event) {
+        throw new Error(`Provider ${this.name} does not implement parseStreamChunk`);
+    }
+
+    /**
+     * Get request headers according to the auth scheme
+     */
+    getHeaders(apiKey) {
+        const headers = {
+            'Content-Type': 'application/json'
+        };
+
+        if (!apiKey || this.auth.type === 'none') {
+            return headers;
+        }
+
+        headers[this.auth.header] = this.auth.type === 'bearer' ? `Bearer ${apiKey}` : apiKey;
+        return headers;
+    }
+
+    /**
+     * Extract a readable error message from an error response body
+     */
+    getErrorMessage(responseData) {
+        return responseData?.error?.message;
+    }
+}
+
+module.exports = BaseProvider;
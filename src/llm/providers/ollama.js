@@ -0,0 +1,101 @@
+/**
+ * Ollama provider for local and self-hosted models
+ */
+
+const BaseProvider = require('./base');
+
+class OllamaProvider extends BaseProvider {
+    constructor() {
+        super({
+            name: 'ollama',
+            defaults: {
+                endpoint: 'http://localhost:11434/api/chat',
+                model: 'llama3.1'
+            },
+            auth: { type: 'none' },
+            features: { jsonMode: true, jsonSchema: true, streaming: true, tools: true },
+            // Ollama serves models with a 4k context unless num_ctx is raised
+            tokens: {
+                charsPerToken: 4,
+                // Models with 32k-token vocabularies split text more finely
+                charsPerTokenByModel: [
+                    [/^(llama2|mistral|mixtral|codellama)/, 3]
+                ],
+                contextWindow: 4096
+            },
+            streamFormat: 'ndjson'
+        });
+    }
+
+    /**
+     * Format request for Ollama's native /api/chat endpoint
+     */
+    formatRequest(messages, options = {}) {
+        this.validateMessages(messages);
+
+        const body = {
+            model: options.model || this.defaults.model,
+            messages,
+            stream: Boolean(options.stream),
+            options: {
+                num_predict: options.maxTokens || 1000,
+                temperature: options.temperature ?? 0.1
+            }
+        };
+
+        // Ollama takes the JSON schema itself as the output format
+        if (options.responseSchema) {
+            body.format = options.responseSchema.schema;
+        }
+
+        return body;
+    }
+
+    /**
+     * Parse Ollama response
+     */
+    parseResponse(responseData) {
+        // Validate response structure
+        if (typeof responseData?.message?.content !== 'string') {
+            throw new Error('Invalid Ollama response format');
+        }
+
+        // Check if response was truncated
+        if (responseData.done_reason === 'length') {
+            console.warn('Ollama response was truncated due to token limit');
+        }
+
+        const content = responseData.message.content;
+        if (content.trim().length === 0) {
+            throw new Error('Empty response from Ollama');
+        }
+
+        return content;
+    }
+
+    /**
+     * Parse one line of Ollama's newline-delimited JSON stream
+     */
+    parseStreamChunk(event) {
+        const data = JSON.parse(event.data);
+        if (data.error) {
+            throw new Error(`Ollama stream error: ${data.error}`);
+        }
+
+        if (data.done_reason === 'length') {
+            console.warn('Ollama response was truncated due to token limit');
+        }
+
+        return { text: data.message?.content || '', done: Boolean(data.done) };
+    }
+
+    /**
+     * Ollama reports errors as a plain string
+     */
+    getErrorMessage(responseData) {
+        return typeof responseData?.error === 'string' ? responseData.error : super.getErrorMessage(responseData);
+    }
+
+}
+
+module.exports = OllamaProvider;
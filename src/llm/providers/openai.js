@@ -2,33 +2,66 @@
  * OpenAI provider for LLM requests
  */
 
-class OpenAIProvider {
+const BaseProvider = require('./base');
+
+class OpenAIProvider extends BaseProvider {
     constructor() {
-        this.name = 'openai';
+        super({
+            name: 'openai',
+            defaults: {
+                endpoint: 'https://api.openai.com/v1/chat/completions',
+                model: 'gpt-4o-mini'
+            },
+            auth: { type: 'bearer', header: 'Authorization' },
+            features: { jsonMode: true, jsonSchema: true, streaming: true, tools: true },
+            tokens: {
+                charsPerToken: 4,
+                // Models before gpt-4o use the smaller cl100k vocabulary
+                charsPerTokenByModel: [
+                    [/^(gpt-3\.5-turbo|gpt-4(-|$))/, 3.5]
+                ],
+                contextWindow: 8192,
+                contextWindows: [
+                    [/^(gpt-4o|gpt-4\.1|gpt-4-turbo|o\d)/, 128000],
+                    [/^gpt-3\.5-turbo/, 16385],
+                    [/^gpt-4(-|$)/, 8192]
+                ]
+            }
+        });
+    }
+
+    /**
+     * Only the public OpenAI API requires a key; compatible servers such as
+     * vLLM or llama.cpp are commonly run without auth
+     */
+    requiresApiKey(endpoint) {
+        return /^https:\/\/api\.openai\.com\//.test(endpoint);
     }
 
     /**
      * Format request for OpenAI API
      */
     formatRequest(messages, options = {}) {
-        // Validate messages
-        if (!Array.isArray(messages) || messages.length === 0) {
-            throw new Error('Messages must be a non-empty array');
-        }
-        
-        // Validate message format
-        for (const msg of messages) {
-            if (!msg.role || !msg.content) {
-                throw new Error('Each message must have role and content');
-            }
-        }
-        
-        return {
-            model: options.model || 'gpt-4o-mini',
+        this.validateMessages(messages);
+
+        const body = {
+            model: options.model || this.defaults.model,
             messages,
             max_tokens: options.maxTokens || 1000,
-            temperature: options.temperature || 0.1
+            temperature: options.temperature ?? 0.1
         };
+
+        if (options.responseSchema) {
+            body.response_format = {
+                type: 'json_schema',
+                json_schema: { ...options.responseSchema, strict: true }
+            };
+        }
+        if (options.stream) {
+            body.stream = true;
+        }
+
+        return body;
     }
 
     /**
@@ -39,31 +72,41 @@ class OpenAIProvider {
         if (!responseData?.choices?.[0]?.message?.content) {
             throw new Error('Invalid OpenAI response format');
         }
-        
+
         const choice = responseData.choices[0];
-        
+
         // Check if response was truncated
         if (choice.finish_reason === 'length') {
             console.warn('OpenAI response was truncated due to token limit');
         }
-        
+
         // Validate content exists and is meaningful
         const content = choice.message.content;
         if (!content || content.trim().length === 0) {
             throw new Error('Empty response from OpenAI');
         }
-        
+
         return content;
     }
 
     /**
-     * Get default headers for OpenAI
+     * Parse a chat.completion.chunk server-sent event
      */
-    getHeaders(apiKey) {
-        return {
-            'Content-Type': 'application/json',
-            'Authorization': `Bearer ${apiKey}`
-        };
+    parseStreamChunk(event) {
+        if (event.data === '[DONE]') {
+            return { text: '', done: true };
+        }
+
+        const choice = JSON.parse(event.data).choices?.[0];
+        if (!choice) {
+            return null;
+        }
+
+        if (choice.finish_reason === 'length') {
+            console.warn('OpenAI response was truncated due to token limit');
+        }
+
+        return { text: choice.delta?.content || '', done: false };
     }
 
 }
@@ -0,0 +1,197 @@
+/**
+ * Retry policy for LLM requests
+ *
+ * Exponential backoff with jitter that honours the server's Retry-After and
+ * rate-limit reset headers, bounded by a maximum total wait.
+ */
+
+const DEFAULT_RETRY_POLICY = {
+    retries: 3,
+    minDelay: 1000,
+    maxDelay: 30000,
+    factor: 2,
+    jitter: true,
+    maxTotalWait: 60000,
+    // 529 is Anthropic's "overloaded" status
+    retryOn: [408, 409, 429, 500, 502, 503, 504, 529]
+};
+
+// Transient network failures that are worth another attempt
+const RETRYABLE_ERROR_CODES = ['ECONNRESET', 'ECONNABORTED', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE'];
+
+/**
+ * Merge a partial policy over the defaults; `false` disables retries
+ * @param {Object|boolean} policy - Retry policy overrides
+ * @returns {Object} Complete retry policy
+ */
+function resolveRetryPolicy(policy) {
+    if (policy === false) {
+        return { ...DEFAULT_RETRY_POLICY, retries: 0 };
+    }
+    return { ...DEFAULT_RETRY_POLICY, ...(policy || {}) };
+}
+
+/**
+ * Check whether a failed request should be retried under the policy
+ */
+function isRetryable(error, policy) {
+    if (error.response) {
+        return policy.retryOn.includes(error.response.status);
+    }
+    return RETRYABLE_ERROR_CODES.includes(error.code);
+}
+
+/**
+ * Parse a duration header value into milliseconds
+ *
+ * Accepts seconds ("2", "0.5"), Go-style durations as sent by OpenAI
+ * ("1s", "6m0s", "120ms"), epoch seconds and HTTP or ISO dates.
+ */
+function parseDuration(value, now = Date.now()) {
+    const text = String(value).trim();
+
+    if (/^\d+(\.\d+)?$/.test(text)) {
+        const seconds = parseFloat(text);
+        // Large values are absolute reset times in epoch seconds
+        return seconds > 1e9 ? Math.max(0, seconds * 1000 - now) : seconds * 1000;
+    }
+
+    const duration = text.match(/^(?:(\d+)h)?(?:(\d+)m(?!s))?(?:(\d+(?:\.\d+)?)s)?(?:(\d+)ms)?$/);
+    if (duration && text.length > 0) {
+        const [, hours = 0, minutes = 0, seconds = 0, millis = 0] = duration;
+        return ((Number(hours) * 60 + Number(minutes)) * 60 + Number(seconds)) * 1000 + Number(millis);
+    }
+
+    const date = Date.parse(text);
+    return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+/**
+ * Response headers with lower-case names
+ */
+function normalizeHeaders(headers) {
+    return Object.fromEntries(Object.entries(typeof headers.toJSON === 'function' ? headers.toJSON() : headers)
+        .map(([name, value]) => [name.toLowerCase(), value]));
+}
+
+/**
+ * Read the delay the server asked for from Retry-After headers
+ * @param {Object} headers - Response headers
+ * @returns {number|null} Delay in milliseconds, or null when not specified
+ */
+function parseRetryAfter(headers, now = Date.now()) {
+    if (!headers) {
+        return null;
+    }
+
+    const lookup = normalizeHeaders(headers);
+    if (lookup['retry-after-ms'] !== undefined) {
+        return parseDuration(`${lookup['retry-after-ms']}ms`, now);
+    }
+    if (lookup['retry-after'] !== undefined) {
+        return parseDuration(lookup['retry-after'], now);
+    }
+    return null;
+}
+
+/**
+ * Read when the exhausted rate-limit window resets from x-ratelimit-reset-* headers
+ *
+ * Windows whose x-ratelimit-remaining-* header is 0 are the ones that were hit;
+ * when no window reports that, the earliest reset is used.
+ * @param {Object} headers - Response headers
+ * @returns {number|null} Delay in milliseconds, or null when not specified
+ */
+function parseRateLimitReset(headers, now = Date.now()) {
+    if (!headers) {
+        return null;
+    }
+
+    const lookup = normalizeHeaders(headers);
+    const resets = Object.entries(lookup)
+        .filter(([name]) => name.startsWith('x-ratelimit-reset'))
+        .map(([name, value]) => ({
+            exhausted: Number(lookup[name.replace('-reset', '-remaining')]) === 0,
+            delay: parseDuration(value, now)
+        }))
+        .filter(reset => reset.delay !== null);
+    if (resets.length === 0) {
+        return null;
+    }
+
+    const exhausted = resets.filter(reset => reset.exhausted);
+    return exhausted.length > 0
+        ? Math.max(...exhausted.map(reset => reset.delay))
+        : Math.min(...resets.map(reset => reset.delay));
+}
+
+/**
+ * Compute the delay before the given retry attempt
+ * @param {Error} error - Error from the failed attempt
+ * @param {number} attempt - Number of the attempt that failed (1-based)
+ * @param {Object} policy - Complete retry policy
+ * @returns {number} Delay in milliseconds
+ */
+function getRetryDelay(error, attempt, policy) {
+    const retryAfter = parseRetryAfter(error.response?.headers);
+    if (retryAfter !== null) {
+        return Math.ceil(retryAfter);
+    }
+
+    // Reset headers describe the whole window, which can be minutes away;
+    // retrying sooner is fine since the server answers with another 429
+    const reset = parseRateLimitReset(error.response?.headers);
+    if (reset !== null) {
+        return Math.ceil(Math.min(reset, policy.maxDelay));
+    }
+
+    const backoff = Math.min(policy.maxDelay, policy.minDelay * Math.pow(policy.factor, attempt - 1));
+    return Math.round(policy.jitter ? backoff / 2 + Math.random() * backoff / 2 : backoff);
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Run an operation, retrying retryable failures under the policy
+ * @param {Function} operation - Async function to run
+ * @param {Object|boolean} policy - Retry policy overrides
+ * @param {Function} onRetry - Called with { attempt, delay, status, error } before each retry
+ * @returns {Promise<*>} Result of the first successful attempt
+ */
+async function withRetry(operation, policy, onRetry) {
+    const settings = resolveRetryPolicy(policy);
+    let totalWait = 0;
+
+    for (let attempt = 1; ; attempt++) {
+        try {
+            return await operation(attempt);
+        } catch (error) {
+            if (attempt > settings.retries || !isRetryable(error, settings)) {
+                throw error;
+            }
+
+            const delay = getRetryDelay(error, attempt, settings);
+            if (totalWait + delay > settings.maxTotalWait) {
+                throw error;
+            }
+            totalWait += delay;
+
+            if (onRetry) {
+                onRetry({ attempt, delay, status: error.response?.status, error });
+            }
+            await sleep(delay);
+        }
+    }
+}
+
+module.exports = {
+    DEFAULT_RETRY_POLICY,
+    resolveRetryPolicy,
+    isRetryable,
+    parseRetryAfter,
+    parseRateLimitReset,
+    getRetryDelay,
+    withRetry
+};
@@ -0,0 +1,160 @@
+/**
+ * JSON schema for review responses and a validator for the subset of JSON
+ * Schema it uses
+ */
+
+// Ordered from most to least severe
+const SEVERITIES = ['critical', 'major', 'minor', 'nit'];
+
+// LEFT comments refer to the old file (deleted lines), RIGHT to the new file
+const SIDES = ['LEFT', 'RIGHT'];
+
+const CATEGORIES = ['security', 'correctness', 'performance', 'style', 'maintainability', 'tests'];
+
+const REVIEW_RESPONSE_SCHEMA = {
+    type: 'object',
+    properties: {
+        comments: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    body: { type: 'string', minLength: 1 },
+                    startLine: { type: ['integer', 'null'], minimum: 1 },
+                    line: { type: 'integer', minimum: 1 },
+                    side: { type: 'string', enum: SIDES },
+                    severity: { type: 'string', enum: SEVERITIES },
+                    category: { type: 'string', enum: CATEGORIES },
+                    confidence: { type: 'number', minimum: 0, maximum: 1 },
+                    suggestion: { type: ['string', 'null'] }
+                },
+                required: ['body', 'startLine', 'line', 'side', 'severity', 'category', 'confidence', 'suggestion'],
+                additionalProperties: false
+            }
+        }
+    },
+    required: ['comments'],
+    additionalProperties: false
+};
+
+/**
+ * Rank a severity so that more severe values compare higher
+ * @param {string} severity - One of SEVERITIES
+ * @returns {number} Rank from 1 (nit) to 4 (critical), or 0 for unknown values
+ */
+function severityRank(severity) {
+    const index = SEVERITIES.indexOf(severity);
+    return index === -1 ? 0 : SEVERITIES.length - index;
+}
+
+function typeOf(value) {
+    if (value === null) {
+        return 'null';
+    }
+    if (Array.isArray(value)) {
+        return 'array';
+    }
+    if (Number.isInteger(value)) {
+        return 'integer';
+    }
+    return typeof value;
+}
+
+function matchesType(value, type) {
+    const actual = typeOf(value);
+    return actual === type || (type === 'number' && actual === 'integer');
+}
+
+/**
+ * Validate a value against a JSON schema
+ *
+ * Supports type, enum, required, properties, additionalProperties, items,
+ * minLength, minimum and maximum.
+ * @param {*} value - Value to validate
+ * @param {Object} schema - JSON schema
+ * @param {string} path - Path of the value, used in error messages
+ * @returns {Array<string>} Validation errors, empty when valid
+ */
+function validateSchema(value, schema, path = '$') {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type].filter(Boolean);
+    if (types.length > 0 && !types.some(type => matchesType(value, type))) {
+        return [`${path}: expected ${types.join(' or ')} but got ${typeOf(value)}`];
+    }
+
+    const errors = [];
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${path}: expected one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}`);
+    }
+    if (typeof value === 'string' && schema.minLength !== undefined && value.trim().length < schema.minLength) {
+        errors.push(`${path}: must not be empty`);
+    }
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            errors.push(`${path}: must be at least ${schema.minimum}`);
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            errors.push(`${path}: must be at most ${schema.maximum}`);
+        }
+    }
+
+    if (typeOf(value) === 'object') {
+        const properties = schema.properties || {};
+        for (const key of schema.required || []) {
+            if (!(key in value)) {
+                errors.push(`${path}.${key}: is required`);
+            }
+        }
+        for (const [key, child] of Object.entries(value)) {
+            if (properties[key]) {
+                errors.push(...validateSchema(child, properties[key], `${path}.${key}`));
+            } else if (schema.additionalProperties === false) {
+                errors.push(`${path}.${key}: is not allowed`);
+            }
+        }
+    }
+
+    if (Array.isArray(value) && schema.items) {
+        value.forEach((item, index) => {
+            errors.push(...validateSchema(item, schema.items, `${path}[${index}]`));
+        });
+    }
+
+    return errors;
+}
+
+// Keywords that structured outputs accept in strict mode; the rest are only checked by validateSchema
+const PROVIDER_SCHEMA_KEYWORDS = ['type', 'enum', 'properties', 'items', 'required', 'additionalProperties'];
+
+/**
+ * Copy a schema with only the keywords providers enforce, leaving out
+ * length and range constraints that strict structured outputs reject
+ * @param {Object} schema - JSON schema
+ * @returns {Object} Schema to send to the provider
+ */
+function toProviderSchema(schema) {
+    const copy = {};
+    for (const keyword of PROVIDER_SCHEMA_KEYWORDS) {
+        if (schema[keyword] !== undefined) {
+            copy[keyword] = schema[keyword];
+        }
+    }
+    if (copy.properties) {
+        copy.properties = Object.fromEntries(Object.entries(copy.properties)
+            .map(([key, child]) => [key, toProviderSchema(child)]));
+    }
+    if (copy.items) {
+        copy.items = toProviderSchema(copy.items);
+    }
+    return copy;
+}
+
+module.exports = {
+    SEVERITIES,
+    CATEGORIES,
+    SIDES,
+    REVIEW_RESPONSE_SCHEMA,
+    severityRank,
+    validateSchema,
+    toProviderSchema
+};
@@ -0,0 +1,89 @@
+/**
+ * Readers for streamed LLM responses
+ */
+
+/**
+ * Split a byte or string stream into lines
+ */
+async function* readLines(stream) {
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    for await (const chunk of stream) {
+        buffer += typeof chunk === 'string' ? chunk : decoder.decode(chunk, { stream: true });
+
+        let newline;
+        while ((newline = buffer.indexOf('\n')) !== -1) {
+            yield buffer.slice(0, newline).replace(/\r$/, '');
+            buffer = buffer.slice(newline + 1);
+        }
+    }
+
+    buffer += decoder.decode();
+    if (buffer.length > 0) {
+        yield buffer.replace(/\r$/, '');
+    }
+}
+
+/**
+ * Read server-sent events, yielding { event, data } once per dispatched event
+ */
+async function* readServerSentEvents(stream) {
+    let event = null;
+    let data = [];
+
+    for await (const line of readLines(stream)) {
+        if (line === '') {
+            if (data.length > 0) {
+                yield { event, data: data.join('\n') };
+            }
+            event = null;
+            data = [];
+            continue;
+        }
+
+        // Lines starting with a colon are comments (often keep-alives)
+        if (line.startsWith(':')) {
+            continue;
+        }
+
+        const colon = line.indexOf(':');
+        const field = colon === -1 ? line : line.slice(0, colon);
+        const value = colon === -1 ? '' : line.slice(colon + 1).replace(/^ /, '');
+
+        if (field === 'event') {
+            event = value;
+        } else if (field === 'data') {
+            data.push(value);
+        }
+    }
+
+    if (data.length > 0) {
+        yield { event, data: data.join('\n') };
+    }
+}
+
+/**
+ * Read newline-delimited JSON, yielding { event, data } per line
+ */
+async function* readJsonLines(stream) {
+    for await (const line of readLines(stream)) {
+        if (line.trim().length > 0) {
+            yield { event: null, data: line };
+        }
+    }
+}
+
+/**
+ * Read stream events in the given format ('sse' or 'ndjson')
+ * @param {AsyncIterable} stream - Response body stream
+ * @param {string} format - Stream format of the provider
+ * @returns {AsyncGenerator<Object>} Events with `event` name and raw `data` string
+ */
+function readStreamEvents(stream, format = 'sse') {
+    return format === 'ndjson' ? readJsonLines(stream) : readServerSentEvents(stream);
+}
+
+module.exports = {
+    readStreamEvents
+};
@@ -1,106 +1,592 @@
+// Single-character escapes used by git when quoting paths
+const ESCAPES = { a: 7, b: 8, t: 9, n: 10, v: 11, f: 12, r: 13, '"': 34, '\\': 92 };
+
+// Lines that start a file in each format, in the order formats are detected.
+// Plain `diff -u` output starts files at `---` lines (or at `diff` command lines from `diff -r`)
+const FILE_HEADERS = {
+    git: /^diff --(?:git|cc|combined) /,
+    svn: /^Index: /,
+    hg: /^diff -r [0-9a-f]{12,40} /,
+    p4: /^==== .+#\d+.* ====$/,
+    unified: /^diff /
+};
+
+const FORMATS = [...Object.keys(FILE_HEADERS), 'auto'];
+
 /**
  * Parses a Git diff string into structured hunks for each file.
+ *
+ * Each hunk carries a `file` object describing the file it belongs to. Files
+ * without hunks (binary files, pure renames, mode changes, empty new or deleted
+ * files) are returned as a single entry with no changes. Combined diffs of
+ * merges (`diff --cc`) also give each change its type and line number
+ * relative to every parent.
+ *
+ * Paths are read from the `---`/`+++` and rename headers where present, with
+ * git's C-style quoting undone and the `a/` and `b/` (or custom) prefixes removed.
+ *
+ * Besides git, unified diffs from `diff -u`, `svn diff`, `hg diff` and
+ * `p4 diff -du` are understood; the format is detected from the first file header.
  * @param {string} diff - The Git diff string.
+ * @param {Object} options - Parse options
+ * @param {string} options.format - 'auto' (default), 'git', 'unified', 'svn', 'hg' or 'p4'
+ * @param {string} options.srcPrefix - Prefix of old paths, e.g. '' for `--no-prefix` diffs (default: detected)
+ * @param {string} options.dstPrefix - Prefix of new paths (default: detected)
  * @returns {Array} Array of parsed hunks.
  */
-function parseDiff(diff) {
+function parseDiff(diff, options = {}) {
     if (!diff || typeof diff !== 'string') {
         throw new Error('Invalid diff input: expected non-empty string');
     }
+    if (options.format !== undefined && !FORMATS.includes(options.format)) {
+        throw new Error(`Unknown diff format: ${options.format}`);
+    }
 
-    const lines = diff.split('\n');
+    // A trailing newline does not start another line; CRLF diffs (Windows
+    // checkouts, saved patches) are read like LF ones
+    const lines = diff.replace(/\r?\n$/, '').split(/\r?\n/);
+    const format = !options.format || options.format === 'auto' ? detectFormat(lines) : options.format;
     const hunks = [];
     let currentHunk = [];
     let currentFile = '';
+    let currentFileInfo = null;
+    let currentPaths = null;
     let currentHunkHeader = null;
+    let currentSection = null;
+    let noNewline = { old: false, new: false };
     let lineCounters = null;
+    let inFileHeader = false;
+    let fileHunkCount = 0;
+    let seenFile = false;
+
+    const pushHunk = () => {
+        if (currentHunk.length > 0) {
+            hunks.push({ 
+                changes: currentHunk, 
+                filename: currentFile,
+                hunkHeader: currentHunkHeader,
+                section: currentSection,
+                oldNoNewlineAtEnd: noNewline.old,
+                newNoNewlineAtEnd: noNewline.new,
+                file: currentFileInfo
+            });
+            fileHunkCount++;
+        }
+        currentHunk = [];
+    };
+
+    // Files whose change is entirely in their header still get an entry
+    const pushFileWithoutHunks = () => {
+        if (currentFileInfo && fileHunkCount === 0 && hasHeaderOnlyChange(currentFileInfo)) {
+            hunks.push({
+                changes: [],
+                filename: getFilename(currentFileInfo),
+                hunkHeader: null,
+                section: null,
+                oldNoNewlineAtEnd: false,
+                newNoNewlineAtEnd: false,
+                file: currentFileInfo
+            });
+        }
+    };
 
     for (const line of lines) {
-        if (line.startsWith('diff --git')) {
-            if (currentHunk.length > 0) {
-                hunks.push({ 
-                    changes: currentHunk, 
-                    filename: currentFile,
-                    hunkHeader: currentHunkHeader 
-                });
-            }
-            currentHunk = [];
-            currentFile = line.slice(11).split(' ')[0].slice(2);
+        const start = parseFileStart(line, format, options, !inFileHeader && isOutsideHunk(lineCounters));
+        if (start) {
+            pushHunk();
+            pushFileWithoutHunks();
+            ({ file: currentFileInfo, paths: currentPaths } = start);
+            currentFile = getFilename(currentFileInfo);
             currentHunkHeader = null;
             lineCounters = null;
+            inFileHeader = true;
+            fileHunkCount = 0;
+            seenFile = true;
+
+            // A `---` line both starts a plain unified diff and names its old file
+            if (!line.startsWith('--- ')) {
+                continue;
+            }
+        }
+
+        // Text before the first file (a `git show` commit header, a format-patch
+        // email and diffstat, a changelist description) is not part of the diff
+        if (!seenFile && !line.startsWith('@@')) {
             continue;
         }
 
-        // Capture hunk header (e.g., @@ -1,7 +1,9 @@)
+        // Capture hunk header (e.g., @@ -1,7 +1,9 @@ function name, or @@@ -1,7 -1,8 +1,9 @@@ for merges)
         if (line.startsWith('@@')) {
-            if (currentHunk.length > 0) {
-                hunks.push({ 
-                    changes: currentHunk, 
-                    filename: currentFile,
-                    hunkHeader: currentHunkHeader 
-                });
-                currentHunk = [];
+            seenFile = true;
+            pushHunk();
+            inFileHeader = false;
+            const parsed = parseHunkHeader(line);
+            currentHunkHeader = parsed ? parsed.header : null;
+            currentSection = parsed ? parsed.section : null;
+            noNewline = { old: false, new: false };
+            lineCounters = currentHunkHeader ? createLineCounters(currentHunkHeader) : null;
+            continue;
+        }
+
+        // Extended header lines between the start of a file and its first hunk
+        if (inFileHeader) {
+            parseExtendedHeader(line, currentFileInfo, currentPaths, options);
+            currentFile = getFilename(currentFileInfo);
+            continue;
+        }
+
+        // "\ No newline at end of file" applies to the side(s) of the line before it
+        if (line.startsWith('\\')) {
+            const previous = currentHunk[currentHunk.length - 1];
+            if (previous) {
+                noNewline.old = noNewline.old || previous.type !== 'addition';
+                noNewline.new = noNewline.new || previous.type !== 'deletion';
             }
-            currentHunkHeader = parseHunkHeader(line);
-            lineCounters = currentHunkHeader ? {
-                oldLine: currentHunkHeader.oldStart,
-                newLine: currentHunkHeader.newStart
-            } : null;
             continue;
         }
 
-        if (line.startsWith('index') || line.startsWith('---') || line.startsWith('+++')) {
+        if (lineCounters) {
+            // Anything after the counted lines is not part of the hunk
+            if (isOutsideHunk(lineCounters)) {
+                continue;
+            }
+        } else if (line.startsWith('index') || line.startsWith('---') || line.startsWith('+++')) {
             continue;
         }
 
-        const lineInfo = calculateLineNumber(line, lineCounters);
-        currentHunk.push({
-            content: line,
-            type: line[0] === '+' ? 'addition' : line[0] === '-' ? 'deletion' : 'context',
-            lineNumber: lineInfo
-        });
+        currentHunk.push(readChange(line, lineCounters));
     }
 
-    if (currentHunk.length > 0) {
-        hunks.push({ 
-            changes: currentHunk, 
-            filename: currentFile,
-            hunkHeader: currentHunkHeader 
-        });
-    }
+    pushHunk();
+    pushFileWithoutHunks();
 
     return hunks;
 }
 
+/**
+ * Detect the diff format from the first line that starts a file
+ */
+function detectFormat(lines) {
+    for (const line of lines) {
+        const format = Object.keys(FILE_HEADERS).find(name => FILE_HEADERS[name].test(line));
+        if (format) {
+            return format;
+        }
+        if (line.startsWith('--- ')) {
+            return 'unified';
+        }
+    }
+    return 'unified';
+}
+
+function isOutsideHunk(lineCounters) {
+    return !lineCounters || (lineCounters.oldRemaining.every(remaining => remaining <= 0) && lineCounters.newRemaining <= 0);
+}
+
+/**
+ * Recognise a line that starts a new file in the given format
+ * @param {string} line - Diff line
+ * @param {string} format - Diff format
+ * @param {Object} options - Parse options
+ * @param {boolean} betweenFiles - Whether the line is outside any file header or hunk
+ * @returns {Object|null} The `file` info and `paths` state, or null
+ */
+function parseFileStart(line, format, options, betweenFiles) {
+    let match;
+
+    if (!FILE_HEADERS[format].test(line)) {
+        // Plain unified diffs may have nothing but `---`/`+++` lines, and binary files only a marker
+        if (format === 'git' || !betweenFiles) {
+            return null;
+        }
+        if (line.startsWith('--- ')) {
+            return { file: createFileInfo(null, null, false), paths: createPaths(null, null, false) };
+        }
+        if ((match = line.match(/^Binary files (.+) and (.+) differ$/))) {
+            const { file, paths } = createUnifiedFile(match[1], match[2], options);
+            file.isBinary = true;
+            return { file, paths };
+        }
+        return null;
+    }
+
+    switch (format) {
+    case 'git':
+        return line.startsWith('diff --git') ? parseGitHeader(line, options) : parseCombinedHeader(line);
+    case 'svn':
+        return createExactFile(readHeaderPath(line.slice('Index: '.length)));
+    case 'hg':
+        return createExactFile(readHeaderPath(line.replace(/^diff(?: -r \S+)+ /, '')));
+    case 'p4':
+        // ==== //depot/path#3 - /local/path ==== or ==== //depot/path#3 (text) ====
+        match = line.match(/^==== (.+?)#\d+/);
+        return createExactFile(match[1]);
+    default: {
+        // `diff -ru old/x new/x` command lines name both files; the headers below refine them
+        const names = line.split(' ').slice(1).filter(word => !word.startsWith('-'));
+        return names.length >= 2
+            ? createUnifiedFile(names[names.length - 2], names[names.length - 1], options)
+            : { file: createFileInfo(null, null, false), paths: createPaths(null, null, false) };
+    }
+    }
+}
+
+function createPaths(srcPrefix, dstPrefix, exact) {
+    return { srcPrefix, dstPrefix, exact, oldRaw: null };
+}
+
+// svn, hg and p4 name the file on the line that starts it
+function createExactFile(path) {
+    return { file: createFileInfo(path, path, false), paths: createPaths('', '', true) };
+}
+
+function createUnifiedFile(oldRaw, newRaw, options) {
+    const prefixes = matchPrefixes(oldRaw, newRaw, options);
+    if (!prefixes) {
+        return { file: createFileInfo(oldRaw, newRaw, false), paths: createPaths(null, null, false) };
+    }
+    return {
+        file: createFileInfo(stripPrefix(oldRaw, prefixes.srcPrefix), stripPrefix(newRaw, prefixes.dstPrefix), false),
+        paths: createPaths(prefixes.srcPrefix, prefixes.dstPrefix, false)
+    };
+}
+
+/**
+ * Read a C-style quoted path, as git writes names with special or non-ASCII characters
+ * @param {string} text - Text containing the quoted path
+ * @param {number} start - Index of the opening quote
+ * @returns {Object|null} The unquoted `path` and the index `end` just past the closing quote
+ */
+function readQuotedPath(text, start = 0) {
+    if (text[start] !== '"') {
+        return null;
+    }
+
+    // Octal escapes are UTF-8 bytes, so collect bytes and decode at the end
+    const bytes = [];
+    let index = start + 1;
+    while (index < text.length) {
+        const char = String.fromCodePoint(text.codePointAt(index));
+        if (char === '"') {
+            return { path: Buffer.from(bytes).toString('utf8'), end: index + 1 };
+        }
+        if (char === '\\') {
+            const octal = text.slice(index + 1, index + 4);
+            const escaped = text[index + 1];
+            if (/^[0-7]{3}$/.test(octal)) {
+                bytes.push(parseInt(octal, 8));
+                index += 4;
+            } else if (escaped in ESCAPES) {
+                bytes.push(ESCAPES[escaped]);
+                index += 2;
+            } else {
+                bytes.push(...Buffer.from(escaped || '', 'utf8'));
+                index += 2;
+            }
+            continue;
+        }
+        bytes.push(...Buffer.from(char, 'utf8'));
+        index += char.length;
+    }
+
+    return null;
+}
+
+/**
+ * Read a path from a `---`/`+++`, rename or copy header, unquoting it if needed
+ */
+function readHeaderPath(text) {
+    const quoted = readQuotedPath(text);
+    if (quoted) {
+        return quoted.path;
+    }
+    // Non-quoted names may be followed by a tab and a timestamp
+    const tab = text.indexOf('\t');
+    return tab === -1 ? text : text.slice(0, tab);
+}
+
+/**
+ * Work out the prefixes of an old and new path that name the same file
+ * @returns {Object|null} `srcPrefix` and `dstPrefix`, or null if the paths differ
+ */
+function matchPrefixes(oldRaw, newRaw, options) {
+    if (options.srcPrefix !== undefined && options.dstPrefix !== undefined) {
+        const matches = oldRaw.startsWith(options.srcPrefix) && newRaw.startsWith(options.dstPrefix)
+            && oldRaw.slice(options.srcPrefix.length) === newRaw.slice(options.dstPrefix.length);
+        return matches ? { srcPrefix: options.srcPrefix, dstPrefix: options.dstPrefix } : null;
+    }
+    if (oldRaw === newRaw) {
+        return { srcPrefix: '', dstPrefix: '' };
+    }
+
+    // Prefixes are a single directory, such as a/ and b/ or i/ and w/
+    const srcPrefix = oldRaw.slice(0, oldRaw.indexOf('/') + 1);
+    const dstPrefix = newRaw.slice(0, newRaw.indexOf('/') + 1);
+    if (srcPrefix && dstPrefix && oldRaw.slice(srcPrefix.length) === newRaw.slice(dstPrefix.length)) {
+        return { srcPrefix, dstPrefix };
+    }
+    return null;
+}
+
+/**
+ * Split the paths of a `diff --git` line, which are only quoted when they
+ * contain special characters and may otherwise contain spaces
+ * @returns {Array<string>} Old and new path, still prefixed
+ */
+function splitGitPaths(text, options) {
+    if (text.startsWith('"')) {
+        const quoted = readQuotedPath(text);
+        if (quoted && text[quoted.end] === ' ') {
+            return [quoted.path, readHeaderPath(text.slice(quoted.end + 1))];
+        }
+    }
+    if (text.endsWith('"')) {
+        for (let index = text.length - 2; index > 0; index--) {
+            if (text[index] === ' ' && text[index + 1] === '"') {
+                const quoted = readQuotedPath(text, index + 1);
+                if (quoted && quoted.end === text.length) {
+                    return [text.slice(0, index), quoted.path];
+                }
+            }
+        }
+    }
+
+    // Unquoted paths may contain spaces; the split that names the same file on both sides wins
+    const spaces = [...text.matchAll(/ /g)].map(match => match.index);
+    for (const index of spaces) {
+        if (matchPrefixes(text.slice(0, index), text.slice(index + 1), options)) {
+            return [text.slice(0, index), text.slice(index + 1)];
+        }
+    }
+
+    // Renamed files without quoting are ambiguous; the rename headers correct the paths later
+    const dstPrefix = options.dstPrefix === undefined ? 'b/' : options.dstPrefix;
+    const split = dstPrefix ? text.lastIndexOf(` ${dstPrefix}`) : -1;
+    const index = split === -1 ? (spaces.length > 0 ? spaces[0] : text.length) : split;
+    return [text.slice(0, index), text.slice(index + 1) || text];
+}
+
+function stripPrefix(path, prefix) {
+    return prefix && path.startsWith(prefix) ? path.slice(prefix.length) : path;
+}
+
+function createFileInfo(oldPath, newPath, isCombined) {
+    return {
+        status: 'modified',
+        oldPath,
+        newPath,
+        similarity: null,
+        oldMode: null,
+        newMode: null,
+        isBinary: false,
+        isCombined
+    };
+}
+
+/**
+ * Read the old and new paths from a `diff --git a/<old> b/<new>` line
+ * @returns {Object} The `file` info and the `paths` state used by the extended headers
+ */
+function parseGitHeader(line, options) {
+    const [oldRaw, newRaw] = splitGitPaths(line.slice('diff --git '.length), options);
+    const prefixes = matchPrefixes(oldRaw, newRaw, options) || {
+        srcPrefix: options.srcPrefix === undefined ? 'a/' : options.srcPrefix,
+        dstPrefix: options.dstPrefix === undefined ? 'b/' : options.dstPrefix
+    };
+
+    return {
+        file: createFileInfo(stripPrefix(oldRaw, prefixes.srcPrefix), stripPrefix(newRaw, prefixes.dstPrefix), false),
+        paths: createPaths(prefixes.srcPrefix, prefixes.dstPrefix, false)
+    };
+}
+
+/**
+ * Read the path from a `diff --cc <path>` or `diff --combined <path>` line
+ */
+function parseCombinedHeader(line) {
+    const path = readHeaderPath(line.replace(/^diff --(cc|combined) /, ''));
+
+    return {
+        file: createFileInfo(path, path, true),
+        paths: createPaths(null, null, true)
+    };
+}
+
+/**
+ * Apply a git extended header line (modes, renames, copies, paths, binary markers) to the file
+ */
+function parseExtendedHeader(line, file, paths, options) {
+    let match;
+
+    if ((match = line.match(/^new file mode (\d+)/))) {
+        file.status = 'added';
+        file.oldPath = null;
+        file.newMode = match[1];
+    } else if ((match = line.match(/^deleted file mode (\d+)/))) {
+        file.status = 'deleted';
+        file.newPath = null;
+        file.oldMode = match[1];
+    } else if ((match = line.match(/^old mode (\d+)/))) {
+        file.oldMode = match[1];
+    } else if ((match = line.match(/^new mode (\d+)/))) {
+        file.newMode = match[1];
+    } else if ((match = line.match(/^mode (\d+)(?:,\d+)*\.\.(\d+)/))) {
+        // Combined diffs list the parents' modes before the result's
+        file.oldMode = match[1];
+        file.newMode = match[2];
+    } else if ((match = line.match(/^similarity index (\d+)%/))) {
+        file.similarity = parseInt(match[1], 10);
+    } else if ((match = line.match(/^(rename|copy) (from|to) (.+)/))) {
+        // Rename and copy headers carry exact paths without prefixes
+        file.status = match[1] === 'rename' ? 'renamed' : 'copied';
+        file[match[2] === 'from' ? 'oldPath' : 'newPath'] = readHeaderPath(match[3]);
+        paths.exact = true;
+    } else if ((match = line.match(/^(---|\+\+\+) (.+)/))) {
+        applyPathHeader(match[1] === '---', match[2], file, paths, options);
+    } else if ((match = line.match(/^index \S+\.\.\S+ (\d+)/))) {
+        // Unchanged mode is only given on the index line
+        file.oldMode = file.oldMode || match[1];
+        file.newMode = file.newMode || match[1];
+    } else if (/^Binary files (.* )?differ$/.test(line) || line === 'GIT binary patch'
+        || line.startsWith('Cannot display: file marked as a binary type')) {
+        file.isBinary = true;
+    }
+}
+
+/**
+ * Apply a `---` or `+++` header to the file
+ *
+ * A missing side (`/dev/null`, or svn's `(nonexistent)` and `(revision 0)`)
+ * makes the file added or deleted. Otherwise the path is used unless an exact
+ * path is already known; when the prefixes are not known yet they are worked
+ * out once both sides have been seen.
+ */
+function applyPathHeader(isOld, text, file, paths, options) {
+    const path = readHeaderPath(text);
+    if (path === '/dev/null' || /\t\((?:nonexistent|revision 0)\)$/.test(text)) {
+        file.status = isOld ? 'added' : 'deleted';
+        file[isOld ? 'oldPath' : 'newPath'] = null;
+        return;
+    }
+    if (paths.exact) {
+        return;
+    }
+
+    if (isOld) {
+        paths.oldRaw = path;
+        file.oldPath = paths.srcPrefix === null ? path : stripPrefix(path, paths.srcPrefix);
+        return;
+    }
+
+    if (paths.dstPrefix === null && paths.oldRaw !== null) {
+        const prefixes = matchPrefixes(paths.oldRaw, path, options);
+        if (prefixes) {
+            file.oldPath = stripPrefix(paths.oldRaw, prefixes.srcPrefix);
+            file.newPath = stripPrefix(path, prefixes.dstPrefix);
+            return;
+        }
+    }
+    file.newPath = paths.dstPrefix === null ? path : stripPrefix(path, paths.dstPrefix);
+}
+
+function getFilename(file) {
+    return file.newPath || file.oldPath || '';
+}
+
+function hasHeaderOnlyChange(file) {
+    return file.status !== 'modified' || file.isBinary || file.oldMode !== file.newMode;
+}
+
+/**
+ * Parse a hunk header such as `@@ -1,7 +1,9 @@ function name`
+ *
+ * Combined diffs have one old range per parent and one more `@` per parent,
+ * e.g. `@@@ -1,7 -1,8 +1,9 @@@`; their header also lists each parent's range.
+ * @returns {Object|null} `header` with starts and line counts, and the `section` heading
+ */
 function parseHunkHeader(header) {
-    // Parse @@ -1,7 +1,9 @@ format
-    const match = header.match(/@@ -(\d+)(?:,\d+)? \+(\d+)(?:,\d+)? @@/);
+    const match = header.match(/^(@@+) ((?:-\d+(?:,\d+)? )+)\+(\d+)(?:,(\d+))? \1(?: (.*))?$/);
     if (!match) {return null;}
-    
+
+    // An omitted count means a single line
+    const parseRange = range => {
+        const [start, lines] = range.split(',');
+        return { oldStart: parseInt(start, 10), oldLines: lines === undefined ? 1 : parseInt(lines, 10) };
+    };
+
+    const parents = match[2].trim().split(' ').map(range => parseRange(range.slice(1)));
+    if (parents.length !== match[1].length - 1) {return null;}
+
+    const result = {
+        ...parents[0],
+        newStart: parseInt(match[3], 10),
+        newLines: match[4] === undefined ? 1 : parseInt(match[4], 10)
+    };
+    if (parents.length > 1) {
+        result.parents = parents;
+    }
+
+    return { header: result, section: match[5] || null };
+}
+
+function createLineCounters(header) {
+    const parents = header.parents || [header];
     return {
-        oldStart: parseInt(match[1], 10),
-        newStart: parseInt(match[2], 10)
+        oldLine: parents.map(parent => parent.oldStart),
+        oldRemaining: parents.map(parent => parent.oldLines),
+        newLine: header.newStart,
+        newRemaining: header.newLines
     };
 }
 
-function calculateLineNumber(line, lineCounters) {
+/**
+ * Build the change for a hunk line and advance the line counters
+ *
+ * A line has one prefix column per parent. `+` in a column means the line is
+ * in the result but not in that parent, `-` that it is in that parent but not
+ * in the result, and a space that it is in both (or, on a removed line, in
+ * neither).
+ */
+function readChange(line, lineCounters) {
     if (!lineCounters) {
-        return null;
-    }
-    
-    // For added lines ('+'), return the new file line number
-    if (line.startsWith('+')) {
-        return lineCounters.newLine++;
+        return {
+            content: line,
+            type: line[0] === '+' ? 'addition' : line[0] === '-' ? 'deletion' : 'context',
+            lineNumber: null
+        };
     }
-    // For removed lines ('-'), return the old file line number
-    else if (line.startsWith('-')) {
-        return lineCounters.oldLine++;
+
+    const columns = line.slice(0, lineCounters.oldLine.length).padEnd(lineCounters.oldLine.length, ' ').split('');
+    const inResult = !columns.includes('-');
+
+    const parents = columns.map((column, index) => {
+        const inParent = inResult ? column !== '+' : column === '-';
+        if (!inParent) {
+            return { type: inResult ? 'addition' : null, lineNumber: null };
+        }
+        lineCounters.oldRemaining[index]--;
+        return { type: inResult ? 'context' : 'deletion', lineNumber: lineCounters.oldLine[index]++ };
+    });
+
+    let type = 'context';
+    let lineNumber;
+    if (!inResult) {
+        // Removed lines are numbered in the first parent that has them
+        type = 'deletion';
+        lineNumber = parents.find(parent => parent.lineNumber !== null).lineNumber;
+    } else {
+        if (columns.includes('+')) {
+            type = 'addition';
+        }
+        lineCounters.newRemaining--;
+        lineNumber = lineCounters.newLine++;
     }
-    // For context lines ' ', increment both and return new line number
-    else {
-        lineCounters.oldLine++;
-        return lineCounters.newLine++;
+
+    const change = { content: line, type, lineNumber };
+    if (parents.length > 1) {
+        change.parents = parents;
     }
+    return change;
 }
 
 module.exports = parseDiff;
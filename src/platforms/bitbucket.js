@@ -0,0 +1,81 @@
+/**
+ * Request bodies for Bitbucket pull request comments, on Bitbucket Cloud
+ * (`POST /2.0/repositories/{workspace}/{repo_slug}/pullrequests/{id}/comments`)
+ * and Bitbucket Server / Data Center
+ * (`POST /rest/api/1.0/projects/{key}/repos/{slug}/pull-requests/{id}/comments`)
+ *
+ * Both APIs create one comment per request and anchor it to a single line.
+ */
+
+const { isLineComment, getOldPath, appendSuggestion, renderPlainSuggestion, assertResults } = require('./common');
+
+/**
+ * Build Bitbucket Cloud comment request bodies for a review result
+ *
+ * Comments are anchored with `inline.to` on the new file or `inline.from` on
+ * the old file; ranges are placed on their last line and file-level comments
+ * carry only the path.
+ * @param {Object} results - Result of `CodeReviewer.reviewChanges`
+ * @param {Object} options - `includeSummary` (default true)
+ * @returns {Array<Object>} Request bodies, one per comment
+ */
+function buildBitbucketCloudComments(results, options = {}) {
+    assertResults(results);
+
+    const comments = [];
+    if (results.summary && options.includeSummary !== false) {
+        comments.push({ content: { raw: results.summary } });
+    }
+    for (const comment of results.comments) {
+        const inline = { path: comment.filename };
+        if (isLineComment(comment)) {
+            inline[comment.side === 'LEFT' ? 'from' : 'to'] = comment.line;
+        }
+        comments.push({
+            content: { raw: appendSuggestion(comment.body, renderPlainSuggestion(comment)) },
+            inline
+        });
+    }
+    return comments;
+}
+
+/**
+ * Build Bitbucket Server / Data Center comment request bodies for a review result
+ *
+ * Comments are anchored to the effective diff, on added lines of the new file
+ * or removed lines of the old file; ranges are placed on their last line.
+ * @param {Object} results - Result of `CodeReviewer.reviewChanges`
+ * @param {Object} options - `includeSummary` (default true)
+ * @returns {Array<Object>} Request bodies, one per comment
+ */
+function buildBitbucketServerComments(results, options = {}) {
+    assertResults(results);
+
+    const comments = [];
+    if (results.summary && options.includeSummary !== false) {
+        comments.push({ text: results.summary });
+    }
+    for (const comment of results.comments) {
+        const anchor = { path: comment.filename, diffType: 'EFFECTIVE' };
+        const srcPath = getOldPath(results, comment.filename);
+        if (srcPath !== comment.filename) {
+            anchor.srcPath = srcPath;
+        }
+        if (isLineComment(comment)) {
+            const removed = comment.side === 'LEFT';
+            anchor.line = comment.line;
+            anchor.lineType = removed ? 'REMOVED' : 'ADDED';
+            anchor.fileType = removed ? 'FROM' : 'TO';
+        }
+        comments.push({
+            text: appendSuggestion(comment.body, renderPlainSuggestion(comment)),
+            anchor
+        });
+    }
+    return comments;
+}
+
+module.exports = {
+    buildBitbucketCloudComments,
+    buildBitbucketServerComments
+};
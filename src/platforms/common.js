@@ -0,0 +1,76 @@
+/**
+ * Helpers shared by the platform payload builders
+ */
+
+/**
+ * Whether a comment points at lines rather than the whole file
+ */
+function isLineComment(comment) {
+    return Number.isInteger(comment.line);
+}
+
+/**
+ * Path of a file before the change, from the parsed hunks of a review result
+ * @param {Object} results - Result of `CodeReviewer.reviewChanges`
+ * @param {string} filename - Path after the change
+ * @returns {string} Old path of renamed and copied files, otherwise `filename`
+ */
+function getOldPath(results, filename) {
+    const hunk = (results.hunks || []).find(candidate => candidate.filename === filename);
+    return (hunk && hunk.file && hunk.file.oldPath) || filename;
+}
+
+/**
+ * Append a rendered suggestion to a comment body
+ */
+function appendSuggestion(body, suggestion) {
+    return suggestion ? `${body}\n\n${suggestion}` : body;
+}
+
+/**
+ * Render a verified suggestion as a plain fenced block for platforms without
+ * suggestion support
+ */
+function renderPlainSuggestion(comment) {
+    if (!comment.suggestionBlock) {
+        return null;
+    }
+    return `Suggested change:\n\n\`\`\`\n${comment.suggestion.replace(/\r?\n$/, '')}\n\`\`\``;
+}
+
+/**
+ * Prefix a file-level comment with its path for APIs that only take general comments
+ */
+function formatFileComment(comment) {
+    return `**\`${comment.filename}\`**: ${comment.body}`;
+}
+
+/**
+ * Split items into batches of at most `size`
+ */
+function toBatches(items, size) {
+    const batches = [];
+    for (let i = 0; i < items.length; i += size) {
+        batches.push(items.slice(i, i + size));
+    }
+    return batches;
+}
+
+/**
+ * Check that a review result can be converted into platform payloads
+ */
+function assertResults(results) {
+    if (!results || !Array.isArray(results.comments)) {
+        throw new Error('Review results with a comments array are required');
+    }
+}
+
+module.exports = {
+    isLineComment,
+    getOldPath,
+    appendSuggestion,
+    renderPlainSuggestion,
+    formatFileComment,
+    toBatches,
+    assertResults
+};
@@ -0,0 +1,86 @@
+/**
+ * Request bodies for GitHub's create-review endpoint
+ * (`POST /repos/{owner}/{repo}/pulls/{pull_number}/reviews`)
+ */
+
+const { isLineComment, appendSuggestion, formatFileComment, toBatches, assertResults } = require('./common');
+
+// Large reviews are rejected or time out; split them into several reviews
+const GITHUB_MAX_COMMENTS = 50;
+
+const REVIEW_EVENTS = ['COMMENT', 'APPROVE', 'REQUEST_CHANGES'];
+
+/**
+ * Convert a comment into a review comment on its lines
+ */
+function toReviewComment(comment) {
+    const reviewComment = {
+        path: comment.filename,
+        body: appendSuggestion(comment.body, comment.suggestionBlock),
+        line: comment.line,
+        side: comment.side || 'RIGHT'
+    };
+    if (Number.isInteger(comment.startLine)) {
+        reviewComment.start_line = comment.startLine;
+        reviewComment.start_side = reviewComment.side;
+    }
+    return reviewComment;
+}
+
+/**
+ * Build the review body from the summary and file-level comments, which the
+ * create-review endpoint cannot attach to a file
+ */
+function buildReviewBody(results, fileComments) {
+    const parts = [];
+    if (results.summary) {
+        parts.push(results.summary);
+    }
+    if (fileComments.length > 0) {
+        parts.push(fileComments.map(formatFileComment).join('\n\n'));
+    }
+    return parts.join('\n\n');
+}
+
+/**
+ * Build create-review request bodies for a review result
+ *
+ * Comments are split into reviews of at most `maxComments`. The first review
+ * carries the summary; the requested `event` is only sent with the last one.
+ * @param {Object} results - Result of `CodeReviewer.reviewChanges`
+ * @param {Object} options - `commitId` (defaults to the pull request head), `event`
+ *   (`COMMENT`, `APPROVE` or `REQUEST_CHANGES`, default `COMMENT`) and `maxComments` (default 50)
+ * @returns {Array<Object>} Request bodies, in the order they should be sent
+ */
+function buildGitHubReviews(results, options = {}) {
+    assertResults(results);
+    const event = options.event || 'COMMENT';
+    if (!REVIEW_EVENTS.includes(event)) {
+        throw new Error(`Unknown review event: ${event}`);
+    }
+    const maxComments = Math.max(1, Math.floor(options.maxComments || GITHUB_MAX_COMMENTS));
+
+    const lineComments = results.comments.filter(isLineComment).map(toReviewComment);
+    const fileComments = results.comments.filter(comment => !isLineComment(comment));
+    const batches = lineComments.length > 0 ? toBatches(lineComments, maxComments) : [[]];
+
+    return batches.map((comments, index) => {
+        const isLast = index === batches.length - 1;
+        const review = {
+            body: index === 0
+                ? buildReviewBody(results, fileComments)
+                : `Review comments, part ${index + 1} of ${batches.length}`,
+            event: isLast ? event : 'COMMENT',
+            comments
+        };
+        if (options.commitId) {
+            review.commit_id = options.commitId;
+        }
+        return review;
+    });
+}
+
+module.exports = {
+    GITHUB_MAX_COMMENTS,
+    buildGitHubReviews
+};
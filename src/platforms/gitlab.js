@@ -0,0 +1,77 @@
+/**
+ * Request bodies for GitLab's merge request discussions API
+ * (`POST /projects/:id/merge_requests/:merge_request_iid/discussions`)
+ *
+ * The API creates one discussion per request.
+ */
+
+const { isLineComment, getOldPath, appendSuggestion, formatFileComment, assertResults } = require('./common');
+
+/**
+ * Render a verified suggestion in GitLab's syntax, which counts the lines
+ * above the commented line that it replaces
+ */
+function renderGitLabSuggestion(comment) {
+    if (!comment.suggestionBlock) {
+        return null;
+    }
+    const above = Number.isInteger(comment.startLine) ? comment.line - comment.startLine : 0;
+    return `\`\`\`suggestion:-${above}+0\n${comment.suggestion.replace(/\r?\n$/, '')}\n\`\`\``;
+}
+
+/**
+ * Build the text position of a comment; ranges are placed on their last line
+ */
+function toPosition(results, comment, shas) {
+    const position = {
+        position_type: 'text',
+        base_sha: shas.baseSha,
+        start_sha: shas.startSha,
+        head_sha: shas.headSha,
+        old_path: getOldPath(results, comment.filename),
+        new_path: comment.filename
+    };
+    if (comment.side === 'LEFT') {
+        position.old_line = comment.line;
+    } else {
+        position.new_line = comment.line;
+    }
+    return position;
+}
+
+/**
+ * Build discussion request bodies for a review result
+ *
+ * The summary and file-level comments become discussions without a position.
+ * @param {Object} results - Result of `CodeReviewer.reviewChanges`
+ * @param {Object} options - `baseSha`, `startSha` and `headSha` from the merge request's
+ *   `diff_refs`, and `includeSummary` (default true)
+ * @returns {Array<Object>} Request bodies, one per discussion
+ */
+function buildGitLabDiscussions(results, options = {}) {
+    assertResults(results);
+    const { baseSha, startSha, headSha } = options;
+    if (!baseSha || !startSha || !headSha) {
+        throw new Error('GitLab positions require baseSha, startSha and headSha');
+    }
+
+    const discussions = [];
+    if (results.summary && options.includeSummary !== false) {
+        discussions.push({ body: results.summary });
+    }
+    for (const comment of results.comments) {
+        if (!isLineComment(comment)) {
+            discussions.push({ body: formatFileComment(comment) });
+            continue;
+        }
+        discussions.push({
+            body: appendSuggestion(comment.body, renderGitLabSuggestion(comment)),
+            position: toPosition(results, comment, { baseSha, startSha, headSha })
+        });
+    }
+    return discussions;
+}
+
+module.exports = {
+    buildGitLabDiscussions
+};
@@ -0,0 +1,16 @@
+/**
+ * Payload builders that turn a `reviewChanges` result into request bodies for
+ * code review platforms
+ */
+
+const { GITHUB_MAX_COMMENTS, buildGitHubReviews } = require('./github');
+const { buildGitLabDiscussions } = require('./gitlab');
+const { buildBitbucketCloudComments, buildBitbucketServerComments } = require('./bitbucket');
+
+module.exports = {
+    GITHUB_MAX_COMMENTS,
+    buildGitHubReviews,
+    buildGitLabDiscussions,
+    buildBitbucketCloudComments,
+    buildBitbucketServerComments
+};
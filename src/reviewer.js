@@ -5,53 +5,220 @@
  */
 
 const parseDiff = require('./parseDiff');
-const { getReviewFromLLM, getSummaryFromLLM } = require('./llm');
+const { LLMCoordinator } = require('./llm');
+const { anchorComments } = require('./anchors');
+const { applySuggestions } = require('./suggestions');
+const { planIncrementalReview, dropRepeatedComments } = require('./incremental');
+const { severityRank } = require('./llm/schema');
+
+const DEFAULT_CONCURRENCY = 4;
+
+/**
+ * Map items through an async function with at most `limit` calls in flight
+ * @returns {Promise<Array>} Results in the same order as the items
+ */
+async function mapWithConcurrency(items, limit, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+    let failed = false;
+
+    // After a failure no worker starts another item; the first error rejects the whole map
+    const worker = async () => {
+        while (!failed && next < items.length) {
+            const index = next++;
+            try {
+                results[index] = await fn(items[index], index);
+            } catch (error) {
+                failed = true;
+                throw error;
+            }
+        }
+    };
+
+    const workers = Array.from({ length: Math.min(limit, items.length) }, worker);
+    await Promise.all(workers);
+    return results;
+}
+
+/**
+ * Order comments by file and line so output does not depend on request timing
+ */
+function sortComments(comments) {
+    return [...comments].sort((a, b) => {
+        if (a.filename !== b.filename) {
+            return a.filename < b.filename ? -1 : 1;
+        }
+        return (a.line || 0) - (b.line || 0);
+    });
+}
+
+/**
+ * Pick the options that are forwarded to LLM calls
+ */
+function getLLMOptions(options) {
+    return {
+        provider: options.provider,
+        model: options.model,
+        retry: options.retry,
+        contextWindow: options.contextWindow,
+        fileContext: options.fileContext,
+        metrics: options.metrics
+    };
+}
+
+/**
+ * Add per-hunk outcome counts to a group of review metrics
+ */
+function addStats(metrics, group, stats) {
+    if (!metrics) {
+        return;
+    }
+    const totals = metrics[group] || (metrics[group] = {});
+    for (const [outcome, count] of Object.entries(stats)) {
+        totals[outcome] = (totals[outcome] || 0) + count;
+    }
+}
+
+/**
+ * Load the text of a hunk's file from the context provider, once per file;
+ * failures only cost the review its context
+ */
+function loadFileContent(hunk, options) {
+    if (!options.contextProvider || (hunk.file && hunk.file.status === 'deleted')) {
+        return Promise.resolve(null);
+    }
+
+    const cache = options.fileContents;
+    if (cache && cache.has(hunk.filename)) {
+        return cache.get(hunk.filename);
+    }
+    const content = Promise.resolve()
+        .then(() => options.contextProvider({ path: hunk.filename, hunk }))
+        .then(text => (typeof text === 'string' ? text : null))
+        .catch(error => {
+            console.warn(`Failed to load context for ${hunk.filename}:`, error.message);
+            return null;
+        });
+    if (cache) {
+        cache.set(hunk.filename, content);
+    }
+    return content;
+}
+
+/**
+ * Counters that requests and hunk reviews add to during a review
+ */
+function createMetrics() {
+    return {
+        failedHunks: 0,
+        summaryFailed: false,
+        retries: 0,
+        retryDelayMs: 0,
+        summaryChunks: 0,
+        repairs: 0,
+        anchoring: { anchored: 0, snapped: 0, demoted: 0, dropped: 0 },
+        suggestions: { verified: 0, dropped: 0 },
+        cache: { hits: 0, misses: 0 }
+    };
+}
 
 class CodeReviewer {
-    constructor() {
+    /**
+     * Results of a review with nothing reviewed yet, in the shape `reviewChanges` returns
+     * @returns {Object} Empty review results
+     */
+    static createResults() {
+        return {
+            summary: null,
+            comments: [],
+            hunks: [],
+            metadata: {
+                reviewedAt: new Date().toISOString(),
+                totalHunks: 0,
+                skippedHunks: 0,
+                totalComments: 0,
+                ...createMetrics(),
+                incremental: { reusedHunks: 0, carriedForward: 0, resolved: 0, repeated: 0 }
+            },
+            resolved: []
+        };
+    }
+
+    /**
+     * @param {Object} config - LLM configuration passed to the coordinator (`provider`, `endpoint`,
+     *   `apiKey`, `model`, `temperature`, `reviewMaxTokens`, `summaryMaxTokens`, `retry`, `cache`), or an
+     *   existing `coordinator` to use instead
+     */
+    constructor(config = {}) {
         this.name = 'AI Code Reviewer';
+        this.llm = config.coordinator || new LLMCoordinator(config);
     }
 
     /**
      * Review code changes and generate comments
      * @param {string} diffData - Git diff content
-     * @param {Object} options - Review options
+     * @param {Object} options - Review options (`generateSummary`, `onSummaryToken`, `concurrency`, `anchoring`,
+     *   `contextProvider`, `fileContext`, `previous`, `diffFormat`, `srcPrefix`, `dstPrefix`, `provider`, `model`, `retry`)
      * @returns {Object} Review results with comments and summary
      */
     async reviewChanges(diffData, options = {}) {
         if (!diffData || typeof diffData !== 'string') {
             throw new Error('Valid diff data is required');
         }
+        if (options.concurrency !== undefined && !(typeof options.concurrency === 'number' && options.concurrency > 0)) {
+            throw new Error(`concurrency must be a positive number, got ${options.concurrency}`);
+        }
 
-        const results = {
-            summary: null,
-            comments: [],
-            hunks: [],
-            metadata: {
-                reviewedAt: new Date().toISOString(),
-                totalHunks: 0,
-                totalComments: 0
-            }
-        };
+        const results = CodeReviewer.createResults();
+        const metrics = createMetrics();
+        const reviewOptions = { ...options, metrics, fileContents: new Map() };
 
         try {
             // Parse the diff into structured hunks
-            const hunks = parseDiff(diffData);
+            const hunks = parseDiff(diffData, {
+                format: options.diffFormat,
+                srcPrefix: options.srcPrefix,
+                dstPrefix: options.dstPrefix
+            });
             results.hunks = hunks;
             results.metadata.totalHunks = hunks.length;
 
-            // Generate summary if requested
+            // Generate summary if requested, alongside the hunk reviews
+            let summary = Promise.resolve(null);
             if (options.generateSummary !== false) {
-                results.summary = await this.generateSummary(diffData, options);
+                summary = options.onSummaryToken
+                    ? this.streamSummary(diffData, { ...reviewOptions, onToken: options.onSummaryToken })
+                    : this.generateSummary(diffData, reviewOptions);
             }
 
-            // Review each hunk and collect comments
-            for (const hunk of hunks) {
-                const hunkComments = await this.reviewHunk(hunk, options);
-                results.comments.push(...hunkComments);
-            }
+            // Binary files and header-only changes (renames, mode changes) have no lines to review
+            const reviewable = hunks.filter(hunk => hunk.changes.length > 0 && !(hunk.file && hunk.file.isBinary));
+            results.metadata.skippedHunks = hunks.length - reviewable.length;
+
+            // Hunks unchanged since the previous review keep their comments
+            const plan = planIncrementalReview(reviewable, options.previous);
+
+            // Review hunks in parallel, bounded by the concurrency limit
+            const concurrency = Math.max(1, Math.floor(options.concurrency ?? DEFAULT_CONCURRENCY));
+            const hunkComments = await mapWithConcurrency(plan.hunks, concurrency, hunk => this.reviewHunk(hunk, reviewOptions));
+
+            results.summary = await summary;
+            // Earlier comments that are still open replace the same comment made again
+            const fresh = dropRepeatedComments(hunkComments.flat(), plan.carried);
+            results.comments = sortComments([...fresh.comments, ...plan.carried]);
+            results.resolved = plan.resolved;
 
             results.metadata.totalComments = results.comments.length;
+            results.metadata.failedHunks = metrics.failedHunks;
+            results.metadata.summaryFailed = metrics.summaryFailed;
+            results.metadata.retries = metrics.retries;
+            results.metadata.retryDelayMs = metrics.retryDelayMs;
+            results.metadata.summaryChunks = metrics.summaryChunks;
+            results.metadata.repairs = metrics.repairs;
+            results.metadata.anchoring = metrics.anchoring;
+            results.metadata.suggestions = metrics.suggestions;
+            results.metadata.incremental = { ...plan.stats, repeated: fresh.repeated };
+            results.metadata.cache = metrics.cache;
             return results;
 
         } catch (error) {
@@ -62,24 +229,35 @@ class CodeReviewer {
     /**
      * Review a single hunk and generate comments
      * @param {Object} hunk - Parsed hunk data
-     * @param {Object} options - Review options
+     * @param {Object} options - Review options; `anchoring` controls how comments off the hunk's lines are handled
+     *   and `contextProvider` / `fileContext` add the surrounding file to the prompt.
+     *   Suggestions that do not apply to the hunk's added lines are set to null
      * @returns {Array} Array of comments for this hunk
      */
-    async reviewHunk(hunk, _options = {}) {
+    async reviewHunk(hunk, options = {}) {
         if (!hunk || !hunk.filename || !hunk.changes) {
             throw new Error('Invalid hunk data');
         }
 
         try {
-            const reviewResponse = await getReviewFromLLM(hunk);
+            const fileContent = await loadFileContent(hunk, options);
+            const reviewResponse = await this.llm.getReview(hunk, { ...getLLMOptions(options), fileContent });
             
             if (!reviewResponse.comments || !Array.isArray(reviewResponse.comments)) {
                 console.warn('No valid comments in review response for', hunk.filename);
                 return [];
             }
 
+            // Keep only comments that can be anchored to the hunk
+            const anchored = anchorComments(hunk, reviewResponse.comments, options.anchoring);
+            addStats(options.metrics, 'anchoring', anchored.stats);
+
+            // Drop suggestions that would not apply cleanly to the hunk's added lines
+            const { comments, stats } = applySuggestions(hunk, anchored.comments);
+            addStats(options.metrics, 'suggestions', stats);
+
             // Enhance comments with file information
-            return reviewResponse.comments.map(comment => ({
+            return comments.map(comment => ({
                 ...comment,
                 filename: hunk.filename,
                 hunkHeader: hunk.hunkHeader
@@ -87,6 +265,9 @@ class CodeReviewer {
 
         } catch (error) {
             console.error(`Failed to review hunk in ${hunk.filename}:`, error.message);
+            if (options.metrics) {
+                options.metrics.failedHunks = (options.metrics.failedHunks || 0) + 1;
+            }
             return [];
         }
     }
@@ -97,11 +278,39 @@ class CodeReviewer {
      * @param {Object} options - Summary options
      * @returns {string} Generated summary
      */
-    async generateSummary(diffData, _options = {}) {
+    async generateSummary(diffData, options = {}) {
         try {
-            return await getSummaryFromLLM(diffData);
+            return await this.llm.getSummary(diffData, getLLMOptions(options));
         } catch (error) {
             console.error('Failed to generate summary:', error.message);
+            if (options.metrics) {
+                options.metrics.summaryFailed = true;
+            }
+            return 'Summary generation failed';
+        }
+    }
+
+    /**
+     * Stream summary of changes as it is generated
+     * @param {string} diffData - Git diff content
+     * @param {Object} options - Summary options; `onToken` is called with each text chunk
+     * @returns {string} Full generated summary
+     */
+    async streamSummary(diffData, options = {}) {
+        try {
+            let summary = '';
+            for await (const text of this.llm.streamSummary(diffData, getLLMOptions(options))) {
+                summary += text;
+                if (options.onToken) {
+                    options.onToken(text);
+                }
+            }
+            return summary;
+        } catch (error) {
+            console.error('Failed to generate summary:', error.message);
+            if (options.metrics) {
+                options.metrics.summaryFailed = true;
+            }
             return 'Summary generation failed';
         }
     }
@@ -109,7 +318,8 @@ class CodeReviewer {
     /**
      * Filter comments based on criteria
      * @param {Array} comments - Array of comments
-     * @param {Object} filters - Filter criteria
+     * @param {Object} filters - Filter criteria (`minLength`, `excludeFiles`, `includeFiles`,
+     *   `minSeverity`, `categories`, `minConfidence`)
      * @returns {Array} Filtered comments
      */
     filterComments(comments, filters = {}) {
@@ -129,6 +339,23 @@ class CodeReviewer {
             filtered = filtered.filter(c => includePatterns.some(pattern => c.filename.includes(pattern)));
         }
 
+        if (filters.minSeverity) {
+            const minRank = severityRank(filters.minSeverity);
+            if (minRank === 0) {
+                throw new Error(`Unknown severity: ${filters.minSeverity}`);
+            }
+            filtered = filtered.filter(c => severityRank(c.severity) >= minRank);
+        }
+
+        if (filters.categories) {
+            const categories = Array.isArray(filters.categories) ? filters.categories : [filters.categories];
+            filtered = filtered.filter(c => categories.includes(c.category));
+        }
+
+        if (filters.minConfidence !== undefined) {
+            filtered = filtered.filter(c => typeof c.confidence === 'number' && c.confidence >= filters.minConfidence);
+        }
+
         return filtered;
     }
 
@@ -0,0 +1,139 @@
+/**
+ * Exports review results as SARIF 2.1.0 for code scanning tools
+ *
+ * Each comment category is a rule and each comment a result located at its
+ * file and lines in the new revision.
+ */
+
+const { CATEGORIES } = require('./llm/schema');
+const version = require('./version');
+
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+const SARIF_VERSION = '2.1.0';
+const TOOL_NAME = 'ai-reviewer-core';
+const TOOL_URI = 'https://github.com/farhann1/ai-reviewer-core';
+
+// Rule for comments without a category
+const UNCATEGORIZED = 'uncategorized';
+
+const RULE_DESCRIPTIONS = {
+    security: 'Vulnerabilities, unsafe input handling and exposed secrets',
+    correctness: 'Bugs and incorrect behaviour',
+    performance: 'Inefficient code and unnecessary work',
+    style: 'Formatting, naming and idiom',
+    maintainability: 'Code that is hard to read, change or extend',
+    tests: 'Missing or inadequate tests',
+    [UNCATEGORIZED]: 'Review comments without a category'
+};
+
+const SEVERITY_LEVELS = {
+    critical: 'error',
+    major: 'error',
+    minor: 'warning',
+    nit: 'note'
+};
+
+/**
+ * Rule for a comment; categories outside the schema (from providers without
+ * structured output) count as uncategorized
+ */
+function getRuleId(comment) {
+    return CATEGORIES.includes(comment.category) ? comment.category : UNCATEGORIZED;
+}
+
+/**
+ * Build a SARIF rule for a comment category
+ */
+function createRule(id) {
+    return {
+        id,
+        name: id.charAt(0).toUpperCase() + id.slice(1),
+        shortDescription: { text: RULE_DESCRIPTIONS[id] }
+    };
+}
+
+/**
+ * Encode a repository path as a relative URI, keeping directory separators
+ */
+function toUri(filename) {
+    return filename.split('/').map(encodeURIComponent).join('/');
+}
+
+/**
+ * Locate a comment in the new revision; comments on deleted lines or on the
+ * whole file only point at the file
+ */
+function createLocation(comment) {
+    const physicalLocation = {
+        artifactLocation: { uri: toUri(comment.filename), uriBaseId: '%SRCROOT%' }
+    };
+    if (Number.isInteger(comment.line) && comment.side !== 'LEFT') {
+        physicalLocation.region = {
+            startLine: Number.isInteger(comment.startLine) ? comment.startLine : comment.line,
+            endLine: comment.line
+        };
+    }
+    return { physicalLocation };
+}
+
+/**
+ * Convert one review comment into a SARIF result
+ */
+function createResult(comment, ruleIndex) {
+    const ruleId = getRuleId(comment);
+    const result = {
+        ruleId,
+        ruleIndex: ruleIndex.get(ruleId),
+        level: SEVERITY_LEVELS[comment.severity] || 'warning',
+        message: { text: comment.body },
+        locations: [createLocation(comment)]
+    };
+
+    const properties = {};
+    for (const key of ['severity', 'confidence', 'side', 'line']) {
+        if (comment[key] !== undefined && comment[key] !== null) {
+            properties[key] = comment[key];
+        }
+    }
+    if (Object.keys(properties).length > 0) {
+        result.properties = properties;
+    }
+    return result;
+}
+
+/**
+ * Convert a `reviewChanges` result into a SARIF 2.1.0 log
+ * @param {Object} results - Result of `CodeReviewer.reviewChanges`
+ * @returns {Object} SARIF log with a single run
+ */
+function toSarif(results) {
+    if (!results || !Array.isArray(results.comments)) {
+        throw new Error('Review results with a comments array are required');
+    }
+
+    const ruleIds = [...CATEGORIES];
+    if (results.comments.some(comment => getRuleId(comment) === UNCATEGORIZED)) {
+        ruleIds.push(UNCATEGORIZED);
+    }
+    const ruleIndex = new Map(ruleIds.map((id, index) => [id, index]));
+
+    return {
+        $schema: SARIF_SCHEMA,
+        version: SARIF_VERSION,
+        runs: [{
+            tool: {
+                driver: {
+                    name: TOOL_NAME,
+                    version,
+                    informationUri: TOOL_URI,
+                    rules: ruleIds.map(createRule)
+                }
+            },
+            results: results.comments.map(comment => createResult(comment, ruleIndex))
+        }]
+    };
+}
+
+module.exports = {
+    toSarif
+};
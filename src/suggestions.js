@@ -0,0 +1,156 @@
+/**
+ * Verifies code suggestions against their hunk and renders them as GitHub
+ * suggestion blocks and unified-diff patches
+ *
+ * A suggestion replaces the added lines `startLine` (or `line`) through `line`
+ * of the new file. Suggestions that would touch anything else cannot be
+ * committed from a review, so they are dropped.
+ */
+
+// Lines of surrounding code included in patches, as in `git diff`
+const PATCH_CONTEXT = 3;
+
+/**
+ * Text of a change without its diff prefix (one column per parent in combined diffs)
+ */
+function getLineText(change) {
+    return change.content.slice(change.parents ? change.parents.length : 1);
+}
+
+/**
+ * Map new-file line numbers to their text for the lines a hunk shows
+ */
+function getNewLines(hunk) {
+    const lines = new Map();
+    for (const change of hunk.changes) {
+        if (change.type !== 'deletion' && Number.isInteger(change.lineNumber)) {
+            lines.set(change.lineNumber, { text: getLineText(change), added: change.type === 'addition' });
+        }
+    }
+    return lines;
+}
+
+function splitSuggestion(suggestion) {
+    const text = suggestion.replace(/\r?\n$/, '');
+    return text === '' ? [] : text.split(/\r?\n/);
+}
+
+/**
+ * Check that a comment's suggestion replaces only added lines and changes them
+ * @param {Object} hunk - Parsed hunk data
+ * @param {Object} comment - Anchored comment with a `suggestion`
+ * @returns {Array<string>|null} The lines being replaced, or null if the suggestion does not apply
+ */
+function verifySuggestion(hunk, comment) {
+    if (typeof comment.suggestion !== 'string' || comment.side === 'LEFT' || !Number.isInteger(comment.line)) {
+        return null;
+    }
+    // Snapped comments may no longer point at the code the suggestion was written for
+    if (comment.originalLine !== undefined) {
+        return null;
+    }
+
+    const newLines = getNewLines(hunk);
+    const start = Number.isInteger(comment.startLine) ? comment.startLine : comment.line;
+    const original = [];
+    for (let number = start; number <= comment.line; number++) {
+        const line = newLines.get(number);
+        if (!line || !line.added) {
+            return null;
+        }
+        original.push(line.text);
+    }
+
+    const replacement = splitSuggestion(comment.suggestion);
+    const unchanged = replacement.length === original.length && replacement.every((text, index) => text === original[index]);
+    return unchanged ? null : original;
+}
+
+/**
+ * Render a suggestion as a GitHub suggestion block
+ * @param {string} suggestion - Replacement text
+ * @returns {string} Markdown for the comment body
+ */
+function renderSuggestionBlock(suggestion) {
+    const lines = splitSuggestion(suggestion);
+    return ['```suggestion', ...lines, '```'].join('\n');
+}
+
+/**
+ * Build a unified-diff patch that applies a suggestion to the new file
+ * @param {Object} hunk - Parsed hunk data
+ * @param {Object} comment - Comment with a verified `suggestion`
+ * @param {Array<string>} original - Lines being replaced, as returned by verifySuggestion
+ * @returns {string} Patch for `git apply`
+ */
+function buildSuggestionPatch(hunk, comment, original) {
+    const newLines = getNewLines(hunk);
+    const start = Number.isInteger(comment.startLine) ? comment.startLine : comment.line;
+    const replacement = splitSuggestion(comment.suggestion);
+
+    const before = [];
+    for (let number = start - 1; number >= start - PATCH_CONTEXT && newLines.has(number); number--) {
+        before.unshift(newLines.get(number).text);
+    }
+    const after = [];
+    for (let number = comment.line + 1; number <= comment.line + PATCH_CONTEXT && newLines.has(number); number++) {
+        after.push(newLines.get(number).text);
+    }
+
+    const oldStart = start - before.length;
+    const oldCount = before.length + original.length + after.length;
+    const newCount = before.length + replacement.length + after.length;
+    // An empty side starts at the line before the change
+    const newStart = newCount === 0 ? oldStart - 1 : oldStart;
+
+    return [
+        `--- a/${hunk.filename}`,
+        `+++ b/${hunk.filename}`,
+        `@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`,
+        ...before.map(text => ` ${text}`),
+        ...original.map(text => `-${text}`),
+        ...replacement.map(text => `+${text}`),
+        ...after.map(text => ` ${text}`)
+    ].join('\n') + '\n';
+}
+
+/**
+ * Verify the suggestions of a hunk's comments and render the ones that apply
+ *
+ * Comments keep their `suggestion` and gain `suggestionBlock` and `patch` when
+ * it applies; otherwise `suggestion` is set to null.
+ * @param {Object} hunk - Parsed hunk data
+ * @param {Array} comments - Anchored comments
+ * @returns {Object} `comments` and `stats` counting verified and dropped suggestions
+ */
+function applySuggestions(hunk, comments) {
+    const stats = { verified: 0, dropped: 0 };
+
+    const result = comments.map(comment => {
+        if (comment.suggestion === undefined || comment.suggestion === null) {
+            return comment;
+        }
+
+        const original = verifySuggestion(hunk, comment);
+        if (!original) {
+            stats.dropped++;
+            return { ...comment, suggestion: null };
+        }
+
+        stats.verified++;
+        return {
+            ...comment,
+            suggestionBlock: renderSuggestionBlock(comment.suggestion),
+            patch: buildSuggestionPatch(hunk, comment, original)
+        };
+    });
+
+    return { comments: result, stats };
+}
+
+module.exports = {
+    applySuggestions,
+    verifySuggestion,
+    renderSuggestionBlock,
+    buildSuggestionPatch
+};
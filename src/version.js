@@ -0,0 +1,6 @@
+/**
+ * Library version, kept in its own module so exporters can report it without
+ * requiring the main entry point
+ */
+
+module.exports = require('../package.json').version;